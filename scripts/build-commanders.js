@@ -0,0 +1,188 @@
+// Builds src/commanders.json from local data dumps so the game can pick pairs
+// without any network round-trips.
+//
+// Usage:
+//   npm run build:data -- --scryfall data/oracle-cards.json --ranks data/edhrec-commanders.json
+//
+// --scryfall  Scryfall bulk-data dump ("Oracle Cards" is recommended)
+// --ranks     EDHREC ranking file. Accepted shapes:
+//               { "Atraxa, Praetors' Voice": 1, "Thrasios, Triton Hero + Tymna the Weaver": 40, ... }
+//               [ { "name": "Atraxa, Praetors' Voice", "rank": 1 }, ... ]
+//               an EDHREC commanders page JSON (cardviews are in rank order)
+//             Partner/background pairings are named "A + B" (or carry EDHREC's own slug).
+// --out       Output path (default src/commanders.json)
+// --previous  Earlier commanders.json to carry rank history over from (default: --out, if it exists).
+//             Each build appends one point per commander, keeping the last 12.
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { pathToFileURL } from 'node:url';
+import { slugify, pairSlug } from '../src/slug.js';
+import { buildPairEntries, isBackground } from '../src/pairings.js';
+import { cardSlug } from '../src/cardModel.js';
+import { mergeRankHistory } from '../src/rankHistory.js';
+
+// Bump when the shape of an entry in commanders.json changes.
+export const DATA_VERSION = 1;
+
+// Layouts that can never be a commander.
+const EXCLUDED_LAYOUTS = new Set([
+  'token', 'double_faced_token', 'emblem', 'art_series', 'planar', 'scheme', 'vanguard',
+]);
+
+// Fields the game actually reads. Everything else in the dump is dropped.
+const CARD_FIELDS = [
+  'id', 'oracle_id', 'name', 'layout', 'mana_cost', 'cmc', 'type_line', 'oracle_text',
+  'power', 'toughness', 'color_identity', 'keywords', 'set', 'set_name', 'rarity', 'released_at',
+];
+const FACE_FIELDS = ['name', 'mana_cost', 'type_line', 'oracle_text', 'power', 'toughness'];
+const IMAGE_FIELDS = ['large', 'art_crop'];
+
+function pick(obj, fields) {
+  const out = {};
+  for (const f of fields) {
+    if (obj[f] !== undefined) out[f] = obj[f];
+  }
+  return out;
+}
+
+function pickImages(imageUris) {
+  return imageUris ? pick(imageUris, IMAGE_FIELDS) : undefined;
+}
+
+export function isCommanderEligible(card) {
+  if (!card || EXCLUDED_LAYOUTS.has(card.layout)) return false;
+  const front = card.card_faces?.[0] || card;
+  const typeLine = front.type_line || card.type_line || '';
+  if (/\bLegendary\b/.test(typeLine) && /\bCreature\b/.test(typeLine)) return true;
+  const oracle = front.oracle_text || card.oracle_text || '';
+  return /can be your commander/i.test(oracle);
+}
+
+export function trimCard(card, rank) {
+  const out = pick(card, CARD_FIELDS);
+  if (card.image_uris) out.image_uris = pickImages(card.image_uris);
+  if (Array.isArray(card.card_faces)) {
+    out.card_faces = card.card_faces.map(face => {
+      const f = pick(face, FACE_FIELDS);
+      if (face.image_uris) f.image_uris = pickImages(face.image_uris);
+      return f;
+    });
+  }
+  if (card.legalities) out.legalities = { commander: card.legalities.commander };
+  out.commander_rank = typeof rank === 'number' ? rank : null;
+  return out;
+}
+
+// Normalize any supported ranking file into a Map of slug -> rank.
+export function parseRankFile(json) {
+  const ranks = new Map();
+  const add = (name, rank, slug) => {
+    const n = Number(rank);
+    if (!name || !Number.isFinite(n) || n <= 0) return;
+    const parts = String(name).split(' + ');
+    // Multi-face cards are ranked under their front face
+    const front = String(name).split(' // ')[0];
+    ranks.set(slug || (parts.length === 2 ? pairSlug(parts[0], parts[1]) : slugify(front)), n);
+  };
+  if (Array.isArray(json)) {
+    json.forEach(entry => add(entry?.name, entry?.rank));
+  } else if (json?.container?.json_dict?.cardlists) {
+    let position = 0;
+    for (const list of json.container.json_dict.cardlists) {
+      for (const view of list.cardviews || []) {
+        position++;
+        add(view.name, view.rank ?? position, view.sanitized);
+      }
+    }
+  } else if (json && typeof json === 'object') {
+    Object.entries(json).forEach(([name, rank]) => add(name, rank));
+  }
+  return ranks;
+}
+
+// Rank history per slug from an earlier build. Builds from before history was
+// recorded still contribute their single rank.
+export function previousHistory(previous) {
+  const history = new Map();
+  if (!previous || Array.isArray(previous) || !Array.isArray(previous.commanders)) return history;
+  const date = (previous.ranks_updated_at || previous.generated_at || '').slice(0, 10);
+  for (const card of previous.commanders) {
+    const points = Array.isArray(card.rank_history) ? card.rank_history : date ? mergeRankHistory([], date, card.commander_rank) : [];
+    if (points.length) history.set(cardSlug(card), points);
+  }
+  return history;
+}
+
+// `date` (YYYY-MM-DD) is when the ranks were taken; with `history` from
+// previousHistory() each ranked card gets a rank_history.
+export function buildCommanders(cards, ranks, { date = null, history = new Map() } = {}) {
+  const seen = new Set();
+  const out = [];
+  for (const card of cards) {
+    // Backgrounds are kept so they can be paired with "Choose a background" commanders
+    if (!isCommanderEligible(card) && !isBackground(card)) continue;
+    const key = card.oracle_id || card.name;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const slug = cardSlug(card);
+    const trimmed = trimCard(card, ranks.get(slug));
+    if (date) {
+      const points = mergeRankHistory(history.get(slug), date, trimmed.commander_rank);
+      if (points.length) trimmed.rank_history = points;
+    }
+    out.push(trimmed);
+  }
+  out.sort((a, b) => a.name.localeCompare(b.name));
+  return out;
+}
+
+// Ranks for every legal pairing EDHREC has a page for, keyed by pairSlug()
+export function buildPairRanks(commanders, ranks) {
+  const out = {};
+  for (const entry of buildPairEntries(commanders)) {
+    if (ranks.has(entry.edhrec_slug)) out[entry.edhrec_slug] = ranks.get(entry.edhrec_slug);
+  }
+  return out;
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function main() {
+  const { values } = parseArgs({
+    options: {
+      scryfall: { type: 'string', default: 'data/oracle-cards.json' },
+      ranks: { type: 'string', default: 'data/edhrec-commanders.json' },
+      out: { type: 'string', default: 'src/commanders.json' },
+      previous: { type: 'string' },
+    },
+  });
+
+  const cards = readJson(values.scryfall);
+  if (!Array.isArray(cards)) throw new Error(`${values.scryfall} is not a Scryfall bulk-data array`);
+  const ranks = parseRankFile(readJson(values.ranks));
+  const ranksUpdatedAt = fs.statSync(values.ranks).mtime.toISOString();
+  const previousFile = values.previous || values.out;
+  const history = fs.existsSync(previousFile) ? previousHistory(readJson(previousFile)) : new Map();
+  const commanders = buildCommanders(cards, ranks, { date: ranksUpdatedAt.slice(0, 10), history });
+  const pairRanks = buildPairRanks(commanders, ranks);
+
+  const output = {
+    version: DATA_VERSION,
+    generated_at: new Date().toISOString(),
+    ranks_updated_at: ranksUpdatedAt,
+    commanders,
+    pair_ranks: pairRanks,
+  };
+  fs.mkdirSync(path.dirname(values.out), { recursive: true });
+  fs.writeFileSync(values.out, JSON.stringify(output));
+
+  const ranked = commanders.filter(c => c.commander_rank !== null).length;
+  console.log(`Wrote ${commanders.length} commanders (${ranked} ranked, ${Object.keys(pairRanks).length} ranked pairings) to ${values.out}`);
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
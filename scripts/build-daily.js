@@ -0,0 +1,52 @@
+// Freezes upcoming Daily puzzles into public/daily/YYYY-MM-DD.json so every
+// player is graded against the same commanders and ranks all day.
+//
+// Usage:
+//   npm run build:daily -- [--from 2026-10-19] [--days 30] [--data src/commanders.json] [--force]
+//
+// Existing manifests are left alone (they may already have been played);
+// pass --force to regenerate them.
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { getDailySeed, dateParamToSeed, seedToDate, seedToDateParam } from '../src/dailyDate.js';
+import { pickDailyCommanders, buildManifest, DAILY_SIZE } from '../src/dailyPicker.js';
+import { buildPairEntries } from '../src/pairings.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OUT_DIR = 'public/daily';
+
+const { values } = parseArgs({
+  options: {
+    from: { type: 'string', default: seedToDateParam(getDailySeed()) },
+    days: { type: 'string', default: '30' },
+    data: { type: 'string', default: 'src/commanders.json' },
+    force: { type: 'boolean', default: false },
+  },
+});
+
+const startSeed = dateParamToSeed(values.from);
+if (!startSeed) throw new Error(`--from must be a YYYY-MM-DD date, got "${values.from}"`);
+
+const raw = JSON.parse(fs.readFileSync(values.data, 'utf8'));
+const commanders = Array.isArray(raw) ? raw : raw.commanders;
+// Pairings are drawn as single entries, same as on the Daily page
+const cards = [...commanders, ...buildPairEntries(commanders, raw.pair_ranks || {})];
+// Only ranks frozen into commanders.json count; nothing is fetched live
+const getRank = card => card.commander_rank;
+
+fs.mkdirSync(OUT_DIR, { recursive: true });
+let written = 0;
+for (let i = 0; i < Number(values.days); i++) {
+  const seed = getDailySeed(new Date(seedToDate(startSeed).getTime() + i * DAY_MS));
+  const file = path.join(OUT_DIR, `${seedToDateParam(seed)}.json`);
+  if (fs.existsSync(file) && !values.force) continue;
+  const picked = await pickDailyCommanders(cards, seed, { getRank });
+  if (picked.length < DAILY_SIZE) {
+    console.warn(`Skipping ${seedToDateParam(seed)}: only ${picked.length} ranked commanders drawn`);
+    continue;
+  }
+  fs.writeFileSync(file, JSON.stringify(buildManifest(seed, picked), null, 2) + '\n');
+  written++;
+}
+console.log(`Wrote ${written} daily manifest(s) to ${OUT_DIR}`);
@@ -0,0 +1,96 @@
+// Local stand-in for json.edhrec.com/pages/commanders, serving ranks from commanders.json
+// along with placeholder deck counts, synergy cards and rank history.
+//
+// Usage:
+//   npm run mock:ranks -- [--port 5174] [--data src/commanders.json] [--fail-rate 0.2]
+// then start the app with VITE_RANK_BACKEND=mock (and VITE_RANK_MOCK_URL if the port changed).
+//
+// --fail-rate makes that fraction of requests answer 503 to exercise retry/backoff.
+import fs from 'node:fs';
+import http from 'node:http';
+import { parseArgs } from 'node:util';
+import { cardSlug } from '../src/cardModel.js';
+import { createRng } from '../src/random.js';
+
+const { values } = parseArgs({
+  options: {
+    port: { type: 'string', default: '5174' },
+    data: { type: 'string', default: 'src/commanders.json' },
+    'fail-rate': { type: 'string', default: '0' },
+  },
+});
+
+const raw = JSON.parse(fs.readFileSync(values.data, 'utf8'));
+const cards = Array.isArray(raw) ? raw : raw.commanders;
+const bySlug = new Map();
+for (const card of cards) {
+  if (typeof card.commander_rank === 'number') {
+    bySlug.set(cardSlug(card), { name: card.name, rank: card.commander_rank, history: card.rank_history });
+  }
+}
+// Partner/background pairings are ranked under their combined slug
+for (const [slug, rank] of Object.entries(raw.pair_ranks || {})) {
+  bySlug.set(slug, { name: slug, rank });
+}
+const ranked = [...bySlug.entries()];
+
+// Six monthly points ending at the current rank, the same on every request
+function fakeHistory(slug, rank) {
+  const rng = createRng(`history:${slug}`);
+  const today = Date.now();
+  return [5, 4, 3, 2, 1, 0].map(monthsAgo => ({
+    date: new Date(today - monthsAgo * 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+    rank: monthsAgo === 0 ? rank : Math.max(1, Math.round(rank * (1 + (rng() - 0.5) * 0.1 * monthsAgo))),
+  }));
+}
+
+// Made-up but stable page details, so the reveal panel has something to show offline
+function fakePage(slug, entry) {
+  const decks = Math.max(50, Math.round(40000 / Math.sqrt(entry.rank)));
+  const synergy = ranked
+    .filter(([other]) => other !== slug)
+    .slice(0, 5)
+    .map(([other, card], i) => ({
+      name: card.name,
+      sanitized: other,
+      synergy: Math.round((0.5 - i * 0.07) * 100) / 100,
+      num_decks: Math.round(decks * (0.6 - i * 0.1)),
+      potential_decks: decks,
+    }));
+  return {
+    num_decks_avg: decks,
+    container: {
+      json_dict: {
+        card: {
+          name: entry.name,
+          sanitized: slug,
+          rank: entry.rank,
+          num_decks: decks,
+          rank_history: entry.history?.length > 1 ? entry.history : fakeHistory(slug, entry.rank),
+        },
+        cardlists: [{ header: 'High Synergy Cards', tag: 'highsynergycards', cardviews: synergy }],
+      },
+    },
+  };
+}
+const failRate = Number(values['fail-rate']) || 0;
+
+const server = http.createServer((req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  const match = /^\/([a-z0-9-]+)\.json$/.exec(new URL(req.url, 'http://localhost').pathname);
+  if (Math.random() < failRate) {
+    res.writeHead(503).end();
+    return;
+  }
+  const entry = match && bySlug.get(match[1]);
+  if (!entry) {
+    res.writeHead(404).end();
+    return;
+  }
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(fakePage(match[1], entry)));
+});
+
+server.listen(Number(values.port), () => {
+  console.log(`Mock rank server: ${bySlug.size} commanders on http://localhost:${values.port}`);
+});
@@ -0,0 +1,194 @@
+// Reference server for head-to-head rooms (/room/:code). Everyone in a room
+// gets the same pairs from the room's seed; guesses are timed on arrival and
+// scored with guessPoints() from src/rooms.js. Ranks come from commanders.json,
+// so nothing here needs the network beyond the WebSocket itself.
+//
+// Usage:
+//   npm run rooms -- [--port 5175] [--data src/commanders.json]
+// then start the app with VITE_ROOM_SERVER_URL=ws://<host>:<port> if it isn't on localhost:5175.
+import fs from 'node:fs';
+import { parseArgs } from 'node:util';
+import { WebSocketServer } from 'ws';
+import { randomSeedCode } from '../src/random.js';
+import {
+  roomDeck, dealRoomPair, roomWinner, guessPoints, normalizeRoomCode,
+  MAX_ROOM_MEMBERS, ROUND_OPTIONS, ROUND_MS, REVEAL_MS,
+} from '../src/rooms.js';
+
+const { values } = parseArgs({
+  options: {
+    port: { type: 'string', default: '5175' },
+    data: { type: 'string', default: 'src/commanders.json' },
+  },
+});
+
+const raw = JSON.parse(fs.readFileSync(values.data, 'utf8'));
+const deck = roomDeck(Array.isArray(raw) ? raw : raw.commanders);
+const rooms = new Map();
+let nextMemberId = 1;
+
+const cardInfo = (card) => ({ id: card.id, name: card.name });
+
+function send(socket, message) {
+  if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+}
+
+// What every member sees of the room
+function roomView(room) {
+  return {
+    code: room.code,
+    state: room.state,
+    host: room.host,
+    round: room.round,
+    rounds: room.rounds,
+    members: [...room.members.values()].map(({ id, name, score, connected }) => ({ id, name, score, connected })),
+  };
+}
+
+function broadcast(room, message) {
+  for (const member of room.members.values()) {
+    if (member.connected) send(member.socket, message);
+  }
+}
+
+const broadcastRoom = (room) => broadcast(room, { type: 'room', room: roomView(room) });
+
+function connectedMembers(room) {
+  return [...room.members.values()].filter(member => member.connected);
+}
+
+function deal(room) {
+  room.round++;
+  room.pair = dealRoomPair(deck, room.seed, room.round);
+  room.dealtAt = Date.now();
+  room.guesses = new Map();
+  broadcastRoom(room);
+  broadcast(room, { type: 'pair', round: room.round, left: cardInfo(room.pair.left), right: cardInfo(room.pair.right), roundMs: ROUND_MS });
+  room.timer = setTimeout(() => reveal(room), ROUND_MS);
+}
+
+function reveal(room) {
+  clearTimeout(room.timer);
+  const winner = roomWinner(room.pair);
+  const guesses = [...room.guesses].map(([id, guess]) => {
+    const correct = winner === 'tie' || guess.side === winner;
+    const points = guessPoints(correct, guess.ms);
+    room.members.get(id).score += points;
+    return { id, side: guess.side, ms: guess.ms, correct, points };
+  });
+  broadcast(room, {
+    type: 'reveal',
+    round: room.round,
+    winner,
+    ranks: { left: room.pair.left.commander_rank, right: room.pair.right.commander_rank },
+    guesses,
+  });
+  room.pair = null;
+  if (room.round >= room.rounds) room.state = 'finished';
+  broadcastRoom(room);
+  if (room.state === 'playing') room.timer = setTimeout(() => deal(room), REVEAL_MS);
+}
+
+const handlers = {
+  join(member, { code, name }) {
+    const roomCode = normalizeRoomCode(code);
+    if (!roomCode) return send(member.socket, { type: 'error', message: 'That room code is not valid.' });
+    if (member.room) return;
+    let room = rooms.get(roomCode);
+    if (!room) {
+      room = { code: roomCode, seed: randomSeedCode(), state: 'lobby', host: member.id, round: 0, rounds: ROUND_OPTIONS[0], members: new Map(), pair: null, guesses: new Map(), timer: null };
+      rooms.set(roomCode, room);
+    }
+    if (connectedMembers(room).length >= MAX_ROOM_MEMBERS) {
+      return send(member.socket, { type: 'error', message: `This room is full (${MAX_ROOM_MEMBERS} players).` });
+    }
+    member.name = String(name || '').trim().slice(0, 24) || `Player ${room.members.size + 1}`;
+    member.room = room;
+    room.members.set(member.id, member);
+    send(member.socket, { type: 'welcome', you: member.id });
+    broadcastRoom(room);
+    // Late joiners get the pair in play
+    if (room.pair) {
+      send(member.socket, { type: 'pair', round: room.round, left: cardInfo(room.pair.left), right: cardInfo(room.pair.right), roundMs: Math.max(0, ROUND_MS - (Date.now() - room.dealtAt)) });
+    }
+  },
+  start(member, { rounds }) {
+    const { room } = member;
+    if (!room || room.host !== member.id || room.state !== 'lobby') return;
+    if (deck.length < 2) return send(member.socket, { type: 'error', message: 'The server has no ranked commanders to deal.' });
+    room.rounds = ROUND_OPTIONS.includes(rounds) ? rounds : ROUND_OPTIONS[0];
+    room.state = 'playing';
+    deal(room);
+  },
+  guess(member, { round, side }) {
+    const { room } = member;
+    if (!room?.pair || round !== room.round || room.guesses.has(member.id)) return;
+    if (side !== 'left' && side !== 'right') return;
+    room.guesses.set(member.id, { side, ms: Date.now() - room.dealtAt });
+    broadcast(room, { type: 'guessed', id: member.id });
+    if (connectedMembers(room).every(other => room.guesses.has(other.id))) reveal(room);
+  },
+  // Back to the lobby with a fresh seed and scores reset
+  restart(member) {
+    const { room } = member;
+    if (!room || room.host !== member.id || room.state !== 'finished') return;
+    room.seed = randomSeedCode();
+    room.state = 'lobby';
+    room.round = 0;
+    for (const other of room.members.values()) {
+      // Players who left mid-game only stayed for the final scores
+      if (!other.connected) room.members.delete(other.id);
+      else other.score = 0;
+    }
+    broadcastRoom(room);
+  },
+};
+
+function leave(member) {
+  const { room } = member;
+  // A socket error is followed by its close, so this can run twice
+  if (!room || !member.connected) return;
+  member.connected = false;
+  const remaining = connectedMembers(room);
+  if (!remaining.length) {
+    clearTimeout(room.timer);
+    rooms.delete(room.code);
+    return;
+  }
+  if (room.host === member.id) room.host = remaining[0].id;
+  // In the lobby a player who leaves is simply gone; mid-game their score stays on the board
+  if (room.state === 'lobby') room.members.delete(member.id);
+  broadcastRoom(room);
+  if (room.pair && remaining.every(other => room.guesses.has(other.id))) reveal(room);
+}
+
+const server = new WebSocketServer({ port: Number(values.port) });
+
+server.on('connection', (socket) => {
+  const member = { id: String(nextMemberId++), socket, name: '', score: 0, connected: true, room: null };
+  socket.on('message', (data) => {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch {
+      return;
+    }
+    if (Object.hasOwn(handlers, message?.type)) handlers[message.type](member, message);
+  });
+  socket.on('close', () => leave(member));
+  // A broken connection is a disconnect, not a reason to take every room down
+  socket.on('error', () => {
+    leave(member);
+    socket.terminate();
+  });
+});
+
+// e.g. the port is taken: say so and exit instead of throwing an unhandled 'error'
+server.on('error', (err) => {
+  console.error(`Room server: ${err.code === 'EADDRINUSE' ? `port ${values.port} is already in use` : err.message}`);
+  process.exit(1);
+});
+
+server.on('listening', () => {
+  console.log(`Room server: ${deck.length} ranked commanders on ws://localhost:${values.port}`);
+});
@@ -0,0 +1,57 @@
+// Vite plugin: builds src/service-worker.js into dist/sw.js and tells it what
+// to precache, i.e. every file of the build plus everything in public/ (the
+// icons, the web manifest and the frozen Daily manifests). The cache version
+// is a hash of those files, so any change to them installs a fresh shell.
+import fs from 'node:fs';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+
+const WORKER_ENTRY = 'src/service-worker.js';
+const WORKER_FILE = 'sw.js';
+const PLACEHOLDER = 'self.__PRECACHE__';
+// Read by the host, never requested by the app
+const SKIP_PUBLIC = new Set(['_redirects']);
+
+// Helper: every file under `dir` as a path relative to it, with forward slashes
+function listFiles(dir, prefix = '') {
+  if (!dir || !fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const relative = prefix + entry.name;
+    if (entry.isDirectory()) return listFiles(path.join(dir, entry.name), `${relative}/`);
+    return [relative];
+  });
+}
+
+export default function serviceWorker() {
+  let config;
+  return {
+    name: 'edh-rankle:service-worker',
+    apply: 'build',
+    // After Vite has added index.html to the bundle
+    enforce: 'post',
+    configResolved(resolved) {
+      config = resolved;
+    },
+    buildStart() {
+      this.emitFile({ type: 'chunk', id: path.resolve(config.root, WORKER_ENTRY), fileName: WORKER_FILE });
+    },
+    generateBundle(_options, bundle) {
+      const hash = createHash('sha256');
+      const files = [];
+      for (const [fileName, output] of Object.entries(bundle)) {
+        if (fileName === WORKER_FILE || fileName.endsWith('.map')) continue;
+        files.push(fileName);
+        hash.update(fileName).update(output.type === 'chunk' ? output.code : output.source);
+      }
+      for (const file of listFiles(config.publicDir)) {
+        if (SKIP_PUBLIC.has(file)) continue;
+        files.push(file);
+        hash.update(file).update(fs.readFileSync(path.join(config.publicDir, file)));
+      }
+      const worker = bundle[WORKER_FILE];
+      if (!worker.code.includes(PLACEHOLDER)) this.error(`${WORKER_ENTRY} no longer reads ${PLACEHOLDER}`);
+      const precache = { version: hash.digest('hex').slice(0, 12), files: files.sort() };
+      worker.code = worker.code.replace(PLACEHOLDER, JSON.stringify(precache));
+    },
+  };
+}
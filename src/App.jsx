@@ -1,78 +1,15 @@
-// Helper: Render color identity as icons
-function renderColorIdentity(colorIdentity) {
-  if (!Array.isArray(colorIdentity) || colorIdentity.length === 0) colorIdentity = ['C'];
-  return (
-    <span className="inline-flex items-center gap-1">
-      {colorIdentity.map((c, i) => (
-        <img
-          key={i}
-          src={`https://svgs.scryfall.io/card-symbols/${c}.svg`}
-          alt={c}
-          style={{height: '1.2em'}}
-        />
-      ))}
-    </span>
-  );
-}
-// Helper: Render mana value as icons
-// Helper: Render mana value as icons (generic, colored, hybrid)
-function renderManaIcons(cmc, manaCost) {
-  if (typeof cmc !== 'number' || cmc < 0) return null;
-  if (!manaCost || typeof manaCost !== 'string' || manaCost.trim() === '') {
-    if (cmc === 0) {
-      return <img src="https://svgs.scryfall.io/card-symbols/0.svg" alt="0" style={{height: '1.2em'}} />;
-    }
-    if (cmc > 10) {
-      return <span className="inline-flex items-center"><img src="https://svgs.scryfall.io/card-symbols/10.svg" alt="10" style={{height: '1.2em'}} /> <span className="ml-1">({cmc})</span></span>;
-    }
-    return (
-      <span className="inline-flex items-center">
-        {[...Array(cmc)].map((_, i) => (
-          <img key={i} src={`https://svgs.scryfall.io/card-symbols/1.svg`} alt="1" style={{height: '1.2em'}} />
-        ))}
-      </span>
-    );
-  }
-  const symbolRegex = /\{([^}]+)\}/g;
-  const symbols = [];
-  let match;
-  while ((match = symbolRegex.exec(manaCost)) !== null) {
-    symbols.push(match[1].replace(/\//g, ""));
-  }
-  return (
-    <span className="inline-flex items-center">
-      {symbols.map((sym, i) => (
-        <img
-          key={i}
-          src={`https://svgs.scryfall.io/card-symbols/${encodeURIComponent(sym)}.svg`}
-          alt={sym}
-          style={{height: '1.2em', paddingLeft: '0.2em'}}
-        />
-      ))}
-    </span>
-  );
-}
-
-
-import React, {useEffect, useState, useCallback} from "react";
-import { Link } from "react-router-dom";
-import commanders from './commanders.json';
-
-function getRandomCommander() {
-  const idx = Math.floor(Math.random() * commanders.length);
-  const card = commanders[idx];
-  return {
-    name: card.name,
-    set_name: card.set_name,
-    art: card.image_uris?.art_crop || null,
-    cardImage: card.image_uris?.large || null,
-    scryfall: card,
-    cmc: card.cmc,
-    power: card.power,
-    toughness: card.toughness,
-    oracle_text: card.oracle_text,
-  };
-}
+import React, {useEffect, useState, useCallback, useRef, useMemo} from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import GuessBoard from './GuessBoard.jsx';
+import FilterControls from './FilterControls.jsx';
+import InsightPanel from './InsightPanel.jsx';
+import { DIFFICULTIES, DEFAULT_DIFFICULTY, getDifficulty } from './difficulty.js';
+import { getFilteredCommanders, readFiltersFromParams, writeFiltersToParams, changedFilters } from './filters.js';
+import { createPairQueue, pairWinner } from './pairQueue.js';
+import { decodePool, poolId, poolSearch } from './customPool.js';
+import { randomSeedCode } from './random.js';
+import { useProfile, filterKey, recordClassicGuess, setClassicStreak } from './profile.js';
+import { useGameKeys } from './useGameKeys.js';
 
 import wishlistImage from './assets/VagabonesWishlist.png';
 
@@ -94,171 +31,182 @@ import wishlistImage from './assets/VagabonesWishlist.png';
 
 // ...existing code...
 
-export function slugify(name) {
-  // Normalize and remove accents
-  return String(name)
-    .normalize('NFD')
-    .replace(/\p{Diacritic}/gu, '')
-    .toLowerCase()
-    .replace(/["'!\?\(\):,\.]/g, "")
-    .replace(/[^a-z0-9]+/g, "-")
-    .replace(/^-+|-+$/g, "");
-}
-
-async function fetchScryfallArtForName(name) {
-  // Use Scryfall named endpoint. If double-faced, pick first face art.
-  const url = `https://api.scryfall.com/cards/named?exact=${encodeURIComponent(name)}`;
-  const res = await fetch(url);
-  if (!res.ok) throw new Error("Scryfall fetch failed");
-  const j = await res.json();
-  // Prefer art_crop when available; otherwise use large or normal.
-  const getArt = (card) => {
-    if (card.image_uris && card.image_uris.art_crop) return card.image_uris.art_crop;
-    if (card.card_faces && card.card_faces[0] && card.card_faces[0].image_uris && card.card_faces[0].image_uris.art_crop)
-      return card.card_faces[0].image_uris.art_crop;
-    if (card.image_uris && card.image_uris.large) return card.image_uris.large;
-    if (card.card_faces && card.card_faces[0] && card.card_faces[0].image_uris && card.card_faces[0].image_uris.large)
-      return card.card_faces[0].image_uris.large;
-    // Last resort use svg or png
-    if (card.image_uris && card.image_uris.png) return card.image_uris.png;
-    return null;
-  };
-  const art = getArt(j);
-  return { art, scryfall: j };
-}
-
-function pickTwoDistinct(arr) {
-  if (!arr || arr.length < 2) return null;
-  const a = Math.floor(Math.random() * arr.length);
-  let b = Math.floor(Math.random() * (arr.length - 1));
-  if (b >= a) b += 1;
-  return [arr[a], arr[b]];
-}
-
- export function getFilteredCommanders(includePartner = false, includeUnreleased = false, includeIllegal = false) {
-    const now = new Date();
-    return commanders.filter(card => {
-      // Partner/background filter
-      if (!includePartner && Array.isArray(card.keywords) && (card.keywords.includes("Partner") || card.keywords.includes("Choose a background"))) return false;
-      // Unreleased filter
-      if (!includeUnreleased && card.released_at && new Date(card.released_at) > now) return false;
-      // Illegal filter
-      if (!includeIllegal && card.legalities && card.legalities.commander !== "legal") return false;
-      return true;
-    });
-  }
-
 export default function CommanderGuessGame() {
   const [leftMeta, setLeftMeta] = useState(null);
   const [rightMeta, setRightMeta] = useState(null);
-  const [streak, setStreak] = useState(0);
-  const [lastStreak, setLastStreak] = useState(null);
-  const [highestStreak, setHighestStreak] = useState(0);
   const [result, setResult] = useState(null); // 'left' | 'right' | 'tie' | null
   const [loadingPair, setLoadingPair] = useState(false);
   const [userGuess, setUserGuess] = useState(null);
-  // Filter toggles
-  const [includePartner, setIncludePartner] = useState(false);
-  const [includeUnreleased, setIncludeUnreleased] = useState(false);
-  const [includeIllegal, setIncludeIllegal] = useState(false);
+  // Streaks and stats live in the persisted profile so a refresh doesn't wipe them
+  const [profile, updateProfile] = useProfile();
+  // Filters and seeded runs (?seed=...) live in the URL so a setup can be shared
+  const [searchParams, setSearchParams] = useSearchParams();
+  const runSeed = searchParams.get('seed');
+  const difficulty = DIFFICULTIES[searchParams.get('difficulty')] ? searchParams.get('difficulty') : DEFAULT_DIFFICULTY;
+  const filterParams = writeFiltersToParams(new URLSearchParams(), readFiltersFromParams(searchParams)).toString();
+  const filters = useMemo(() => readFiltersFromParams(new URLSearchParams(filterParams)), [filterParams]);
+  // ?pool= narrows the game to a custom list of commanders (see Pools.jsx)
+  const poolParam = searchParams.get('pool');
+  const customPool = useMemo(() => (poolParam ? decodePool(poolParam).cards : null), [poolParam]);
+  const pool = useMemo(() => getFilteredCommanders(filters, customPool || undefined), [filters, customPool]);
+  const [linkCopied, setLinkCopied] = useState(false);
+  // The three original toggles are always part of the key so older best streaks still count
+  const scoreKey = filterKey({
+    includePartner: filters.includePartner,
+    includeUnreleased: filters.includeUnreleased,
+    includeIllegal: filters.includeIllegal,
+    ...changedFilters(filters),
+    ...(runSeed ? { seed: runSeed } : {}),
+    ...(poolParam ? { pool: poolId(poolParam) } : {}),
+    // Each difficulty keeps its own high score; Normal shares the original key
+    ...(difficulty !== DEFAULT_DIFFICULTY ? { difficulty } : {}),
+  });
+  const { streak, lastStreak, totalGuesses, correctGuesses, gamesPlayed } = profile.classic;
+  const highestStreak = profile.classic.bestStreaks[scoreKey] || 0;
 
-  const loadNewPair = useCallback(async () => {
+  // Pairs are prepared in the background so "Next" doesn't wait on rank lookups
+  const queueRef = useRef(null);
+  if (!queueRef.current) queueRef.current = createPairQueue();
+
+  useEffect(() => {
+    queueRef.current.setPool(pool, { seed: runSeed, difficulty });
+  }, [pool, runSeed, difficulty]);
+
+  useEffect(() => {
+    const queue = queueRef.current;
+    return () => queue.dispose();
+  }, []);
+
+  const showPair = useCallback((pair) => {
+    if (pair.error) {
+      setLeftMeta({ error: pair.error });
+      setRightMeta({ error: pair.error });
+    } else {
+      setLeftMeta(pair.left);
+      setRightMeta(pair.right);
+    }
+    setLoadingPair(false);
+  }, []);
+
+  const loadNewPair = useCallback(() => {
     setResult(null);
+    const ready = queueRef.current.takeReady();
+    if (ready) {
+      showPair(ready);
+      return;
+    }
     setLeftMeta(null);
     setRightMeta(null);
     setLoadingPair(true);
-    try {
-      let left, right, leftRank, rightRank;
-      let attempts = 0;
-      // Pick two distinct commanders from the filtered array
-      const filtered = getFilteredCommanders(includePartner, includeUnreleased, includeIllegal);
-      if (!filtered || filtered.length < 2) {
-        setLeftMeta({ error: "Not enough commanders match the filters." });
-        setRightMeta({ error: "Not enough commanders match the filters." });
-        setLoadingPair(false);
-        return;
-      }
-      do {
-        const [leftCard, rightCard] = pickTwoDistinct(filtered).map(card => ({
-          name: card.name,
-          set_name: card.set_name,
-          art: card.image_uris?.art_crop || null,
-          cardImage: card.image_uris?.large || null,
-          scryfall: card,
-          cmc: card.cmc,
-          power: card.power,
-          toughness: card.toughness,
-          oracle_text: card.oracle_text,
-        }));
-        left = leftCard;
-        right = rightCard;
-        // If same name, retry
-        if (left.name === right.name) {
-          attempts++;
-          continue;
-        }
-        // Fetch ranks in parallel
-        const [lRank, rRank] = await Promise.all([
-          fetchEdhrecCommanderRank(left.name),
-          fetchEdhrecCommanderRank(right.name)
-        ]);
-        leftRank = lRank;
-        rightRank = rRank;
-        attempts++;
-      } while ((typeof leftRank !== 'number' || leftRank <= 0 || typeof rightRank !== 'number' || rightRank <= 0 || left.name === right.name) && attempts < 10);
-
-      // If either still fails, show error
-      if (typeof leftRank !== 'number' || typeof rightRank !== 'number' || left.name === right.name) {
-        setLeftMeta({ error: "Failed to fetch valid commander from list." });
-        setRightMeta({ error: "Failed to fetch valid commander from list." });
-      } else {
-        setLeftMeta({ ...left, rank: leftRank });
-        setRightMeta({ ...right, rank: rightRank });
-      }
-    } catch (e) {
-      setLeftMeta({ error: "Failed to fetch commander from list." });
-      setRightMeta({ error: "Failed to fetch commander from list." });
-    } finally {
-      setLoadingPair(false);
-    }
-  }, [includePartner, includeUnreleased, includeIllegal]);
+    queueRef.current.take().then(showPair);
+  }, [showPair]);
 
   useEffect(() => {
     loadNewPair();
   }, []);
 
+  // Starting or leaving a seeded run begins a fresh game from its first pair
+  const seedRef = useRef(runSeed);
+  useEffect(() => {
+    if (seedRef.current === runSeed) return;
+    seedRef.current = runSeed;
+    setLinkCopied(false);
+    updateProfile(p => setClassicStreak(p, { streak: 0, lastStreak: null }));
+    setUserGuess(null);
+    loadNewPair();
+  }, [runSeed, loadNewPair, updateProfile]);
+
   const makeGuess = async (side) => {
-    if (!leftMeta || !rightMeta) return;
+    if (!leftMeta || !rightMeta || result) return;
     setUserGuess(side);
-    const lRank = typeof leftMeta.rank === 'number' ? leftMeta.rank : Number.POSITIVE_INFINITY;
-    const rRank = typeof rightMeta.rank === 'number' ? rightMeta.rank : Number.POSITIVE_INFINITY;
-    let correct = null;
-    if (lRank === rRank) correct = 'tie';
-    else if (lRank < rRank) correct = 'left'; // lower rank is better
-    else correct = 'right';
+    const correct = pairWinner(leftMeta, rightMeta);
 
     if (correct === side) {
-      setStreak((s) => {
-        const newStreak = s + 1;
-        if (newStreak > highestStreak) setHighestStreak(newStreak);
-        return newStreak;
-      });
+      updateProfile(p => recordClassicGuess(p, scoreKey, { correct: true, streak: p.classic.streak + 1 }));
     } else if (correct === 'tie') {
       // treat tie as neither correct nor incorrect — do not change streak
     } else {
-      setLastStreak(streak);
-      setStreak(0);
+      updateProfile(p => recordClassicGuess(p, scoreKey, { correct: false, streak: p.classic.streak }));
     }
     setResult(correct);
   };
 
   const next = () => {
-  setLeftMeta(null);
-  setRightMeta(null);
   setUserGuess(null);
   loadNewPair();
   };
 
+  // A seeded run always restarts from its first pair
+  const restartGame = () => {
+    if (runSeed) queueRef.current.setPool(pool, { seed: runSeed, difficulty });
+    next();
+  };
+
+  // After a wrong guess: clear the final score and deal a new game
+  const startOver = () => {
+    restartGame();
+    updateProfile(p => setClassicStreak(p, { streak: p.classic.streak, lastStreak: null }));
+  };
+
+  const canGuess = !result && !loadingPair && !!leftMeta && !!rightMeta && !leftMeta.error;
+  const finalScore = lastStreak !== null ? lastStreak : streak;
+  // Arrow keys or 1/2 pick a side, Enter moves on once the ranks are revealed
+  useGameKeys({
+    ArrowLeft: () => canGuess && makeGuess('left'),
+    1: () => canGuess && makeGuess('left'),
+    ArrowRight: () => canGuess && makeGuess('right'),
+    2: () => canGuess && makeGuess('right'),
+    Enter: () => {
+      if (!result) return;
+      if (result === 'tie' || result === userGuess) next();
+      else startOver();
+    },
+  });
+
+  // Read out by screen readers whenever it changes
+  let announcement = '';
+  if (leftMeta?.error) {
+    announcement = leftMeta.error;
+  } else if (result && leftMeta && rightMeta) {
+    const verdict = result === 'tie' ? 'Tie.' : result === userGuess ? 'Correct!' : 'Wrong.';
+    const ranks = `${leftMeta.name} is rank ${leftMeta.rank}, ${rightMeta.name} is rank ${rightMeta.rank}.`;
+    const after = result === 'tie' || result === userGuess ? `Score ${streak}. Press Enter for the next pair.` : `Final score ${finalScore}. Press Enter to start a new game.`;
+    announcement = `${verdict} ${ranks} ${after}`;
+  } else if (leftMeta && rightMeta) {
+    announcement = `${leftMeta.name} or ${rightMeta.name}? Press 1 or the left arrow for ${leftMeta.name}, 2 or the right arrow for ${rightMeta.name}.`;
+  }
+
+  const setFilters = (next) => {
+    setSearchParams(params => writeFiltersToParams(params, next));
+  };
+
+  const setDifficulty = (level) => {
+    setSearchParams(params => {
+      if (level !== DEFAULT_DIFFICULTY) params.set('difficulty', level);
+      else params.delete('difficulty');
+      return params;
+    });
+  };
+
+  const setRunSeed = (seed) => {
+    setSearchParams(params => {
+      if (seed) params.set('seed', seed);
+      else params.delete('seed');
+      return params;
+    });
+  };
+
+  const exitPool = () => {
+    setSearchParams(params => {
+      params.delete('pool');
+      return params;
+    });
+  };
+
+  const copyRunLink = () => {
+    navigator.clipboard?.writeText(window.location.href).then(() => setLinkCopied(true), () => {});
+  };
+
 
   return (
     <div className="min-h-screen bg-gradient-to-b from-slate-900 to-slate-800 text-white p-6 flex flex-col items-center">
@@ -270,200 +218,76 @@ export default function CommanderGuessGame() {
       </div>
       <h1 className="text-3xl font-bold mb-4">EDH Rankle</h1>
       <p className="mb-4 text-slate-300 max-w-xl text-center">Guess which commander has a better rank on <a href="https://edhrec.com" target="_blank" rel="noopener noreferrer" className="underline">EDHREC</a>. Ranks are revealed after guessing. Your score increases for each correct guess.</p>
+      <div className="mb-4 text-sm text-slate-300">
+        More modes: <Link to="/higher-lower" className="underline text-indigo-300">Higher or Lower</Link>
+        {' | '}<Link to="/blitz" className="underline text-indigo-300">Blitz</Link>
+        {' | '}<Link to="/rising" className="underline text-indigo-300">Who's rising?</Link>
+        {' | '}<Link to="/pools" className="underline text-indigo-300">Custom pools</Link>
+        {' | '}<Link to="/party" className="underline text-indigo-300">Pass and play</Link>
+        {' | '}<Link to="/room" className="underline text-indigo-300">Head-to-head</Link>
+      </div>
 
       <div className="mb-4 flex flex-col items-center gap-2 w-full">
         <div className="flex items-center gap-4 mb-2">
           <div className="bg-slate-700 px-4 py-2 rounded flex items-center gap-3">
             <span>Score: <span className="font-semibold">{streak}</span></span>
             <span className="text-slate-400">| Highest: <span className="font-semibold">{highestStreak}</span></span>
+            <span className="text-slate-400">| {getDifficulty(difficulty).label}</span>
           </div>
-          <button className="px-3 py-2 rounded bg-indigo-600 hover:bg-indigo-500" onClick={() => { setStreak(0); next(); }}>New Game</button>
-        </div>
-        {/* Filter toggles row */}
-        <div className="flex flex-row gap-4 justify-center items-center w-full">
-          <label className="flex items-center gap-2 cursor-pointer">
-            <input type="checkbox" checked={includePartner} onChange={e => setIncludePartner(e.target.checked)} />
-            <span className="text-sm">Include Partners/Backgrounds</span>
-          </label>
-          <label className="flex items-center gap-2 cursor-pointer">
-            <input type="checkbox" checked={includeUnreleased} onChange={e => setIncludeUnreleased(e.target.checked)} />
-            <span className="text-sm">Include Unreleased</span>
-          </label>
-          <label className="flex items-center gap-2 cursor-pointer">
-            <input type="checkbox" checked={includeIllegal} onChange={e => setIncludeIllegal(e.target.checked)} />
-            <span className="text-sm">Include Illegal</span>
-          </label>
+          <select
+            className="bg-slate-800 border border-slate-600 rounded px-2 py-2 text-sm"
+            value={difficulty}
+            onChange={e => setDifficulty(e.target.value)}
+            aria-label="Difficulty"
+          >
+            {Object.entries(DIFFICULTIES).map(([id, level]) => (
+              <option key={id} value={id}>{level.label}</option>
+            ))}
+          </select>
+          <button className="px-3 py-2 rounded bg-indigo-600 hover:bg-indigo-500" onClick={() => { updateProfile(p => setClassicStreak(p, { streak: 0, lastStreak: p.classic.lastStreak })); restartGame(); }}>New Game</button>
         </div>
-      </div>
-
-      <div className="w-full max-w-6xl grid grid-cols-1 md:grid-cols-2 gap-6">
-        {/* Left */}
-        <div
-          className="bg-slate-900 rounded-lg p-4 flex flex-col justify-between items-center"
-        >
-          <div className="w-full">
-            <div className="w-full h-96 bg-black overflow-hidden flex items-center justify-center relative">
-              {/* Rank above card */}
-              {result && (
-                <div className="absolute top-2 left-0 w-full flex justify-center" style={{zIndex: 30}}>
-                  <span className="text-4xl font-extrabold text-indigo-300 drop-shadow-lg bg-slate-900 bg-opacity-80 px-4 py-2 rounded">
-                    {typeof leftMeta?.rank === 'number' ? `Rank #${leftMeta.rank}` : 'Rank unavailable'}
-                  </span>
-                </div>
-              )}
-              {/* Art as semi-transparent background */}
-              {leftMeta && leftMeta.art && (
-                <img src={leftMeta.art} alt={leftMeta.name + ' art'}
-                  className="absolute inset-0 w-full h-full object-cover opacity-40" style={{zIndex: 1}} />
-              )}
-              {/* Card image in foreground */}
-              {leftMeta && leftMeta.cardImage ? (
-                <img
-                  src={leftMeta.cardImage}
-                  alt={leftMeta.name + ' card'}
-                  className={`relative z-10 max-h-80 object-contain shadow-lg card cursor-pointer
-                    ${!result ? 'card-hover-enabled' : ''}
-                    ${result && result !== 'tie' && (result === 'left' ? 'card-glow-green' : 'card-glow-red')}`}
-                  style={{borderRadius: '11px'}}
-                  onClick={() => !result && !loadingPair && makeGuess('left')}
-                  onMouseMove={e => {
-                    if (result) return;
-                    const img = e.currentTarget;
-                    const rect = img.getBoundingClientRect();
-                    const x = e.clientX - rect.left;
-                    const y = e.clientY - rect.top;
-                    const centerX = rect.width / 2;
-                    const centerY = rect.height / 2;
-                    const rotateX = ((y - centerY) / centerY) * -10;
-                    const rotateY = ((x - centerX) / centerX) * 10;
-                      img.style.setProperty('--rotate-x', `${rotateX}deg`);
-                      img.style.setProperty('--rotate-y', `${rotateY}deg`);
-                      img.style.transform = 'perspective(800px) rotateX(var(--rotate-x)) rotateY(var(--rotate-y))';
-                  }}
-                  onMouseLeave={e => {
-                    if (result) return;
-                    e.currentTarget.style.transform = '';
-                  }}
-                />
-              ) : (
-                <div className="relative z-10 text-slate-500 flex items-center gap-2">
-                  {loadingPair ? (
-                    <>
-                      <span>Loading card...</span>
-                      <span className="inline-block w-5 h-5 border-2 border-t-2 border-t-indigo-400 border-gray-400 rounded-full animate-spin"></span>
-                    </>
-                  ) : 'No card available'}
-                </div>
-              )}
-            </div>
-            {!loadingPair && (
-              <div className="w-full flex flex-col items-start mt-3">
-                <div className="flex items-center gap-2">
-                  <span className="font-semibold">{leftMeta?.name}</span>
-                  {renderColorIdentity(leftMeta?.scryfall?.color_identity)}
-                </div>
-                <div className="text-sm text-slate-400">{leftMeta?.set_name}</div>
-                <div className="text-xs text-slate-400 flex items-center">Mana Cost: {renderManaIcons(leftMeta?.cmc, leftMeta?.scryfall?.mana_cost) || 'N/A'}</div>
-                <div className="text-xs text-slate-400">{leftMeta?.oracle_text}</div>
-                {result && leftMeta?.name && (
-                  <a
-                    href={`https://edhrec.com/commanders/${slugify(leftMeta.name)}`}
-                    target="_blank"
-                    rel="noopener noreferrer"
-                    className="mt-2 text-indigo-300 underline text-xs"
-                  >
-                    View on EDHREC
-                  </a>
-                )}
-              </div>
-            )}
+        {totalGuesses > 0 && (
+          <div className="text-xs text-slate-400">
+            Lifetime: {totalGuesses} guesses | {Math.round((correctGuesses / totalGuesses) * 100)}% accuracy | {gamesPlayed} games played
           </div>
+        )}
+        <FilterControls filters={filters} onChange={setFilters} />
+        {/* Seeded run controls */}
+        <div className="flex flex-row gap-3 justify-center items-center text-sm">
+          {runSeed ? (
+            <>
+              <span className="text-slate-300">Seeded run: <span className="font-mono font-semibold">{runSeed}</span></span>
+              <button className="px-3 py-1 rounded bg-slate-700 hover:bg-slate-600" onClick={copyRunLink}>{linkCopied ? 'Link copied!' : 'Copy link'}</button>
+              <button className="px-3 py-1 rounded bg-slate-700 hover:bg-slate-600" onClick={() => setRunSeed(null)}>Exit seeded run</button>
+            </>
+          ) : (
+            <button className="px-3 py-1 rounded bg-slate-700 hover:bg-slate-600" onClick={() => setRunSeed(randomSeedCode())}>Start a seeded run</button>
+          )}
         </div>
-
-        {/* Right */}
-        <div
-          className="bg-slate-900 rounded-lg p-4 flex flex-col justify-between items-center"
-        >
-          <div className="w-full">
-            <div className="w-full h-96 bg-black overflow-hidden flex items-center justify-center relative">
-              {/* Rank above card */}
-              {result && (
-                <div className="absolute top-2 left-0 w-full flex justify-center" style={{zIndex: 30}}>
-                  <span className="text-4xl font-extrabold text-indigo-300 drop-shadow-lg bg-slate-900 bg-opacity-80 px-4 py-2 rounded">
-                    {typeof rightMeta?.rank === 'number' ? `Rank #${rightMeta.rank}` : 'Rank unavailable'}
-                  </span>
-                </div>
-              )}
-              {/* Art as semi-transparent background */}
-              {rightMeta && rightMeta.art && (
-                <img src={rightMeta.art} alt={rightMeta.name + ' art'}
-                  className="absolute inset-0 w-full h-full object-cover opacity-40" style={{zIndex: 1}} />
-              )}
-              {/* Card image in foreground */}
-              {rightMeta && rightMeta.cardImage ? (
-                <img
-                  src={rightMeta.cardImage}
-                  alt={rightMeta.name + ' card'}
-                  className={`relative z-10 max-h-80 object-contain shadow-lg card cursor-pointer
-                    ${!result ? 'card-hover-enabled' : ''}
-                    ${result && result !== 'tie' && (result === 'right' ? 'card-glow-green' : 'card-glow-red')}`}
-                  style={{borderRadius: '11px'}}
-                  onClick={() => !result && !loadingPair && makeGuess('right')}
-                  onMouseMove={e => {
-                    if (result) return;
-                    const img = e.currentTarget;
-                    const rect = img.getBoundingClientRect();
-                    const x = e.clientX - rect.left;
-                    const y = e.clientY - rect.top;
-                    const centerX = rect.width / 2;
-                    const centerY = rect.height / 2;
-                    const rotateX = ((y - centerY) / centerY) * -10;
-                    const rotateY = ((x - centerX) / centerX) * 10;
-                      img.style.setProperty('--rotate-x', `${rotateX}deg`);
-                      img.style.setProperty('--rotate-y', `${rotateY}deg`);
-                      img.style.transform = 'perspective(800px) rotateX(var(--rotate-x)) rotateY(var(--rotate-y))';
-                  }}
-                  onMouseLeave={e => {
-                    if (result) return;
-                    e.currentTarget.style.transform = '';
-                  }}
-                />
-              ) : (
-                <div className="relative z-10 text-slate-500 flex items-center gap-2">
-                  {loadingPair ? (
-                    <>
-                      <span>Loading card...</span>
-                      <span className="inline-block w-5 h-5 border-2 border-t-2 border-t-indigo-400 border-gray-400 rounded-full animate-spin"></span>
-                    </>
-                  ) : 'No card available'}
-                </div>
-              )}
-            </div>
-            {!loadingPair && (
-              <div className="w-full flex flex-col items-start mt-3">
-                <div className="flex items-center gap-2">
-                  <span className="font-semibold">{rightMeta?.name}</span>
-                  {renderColorIdentity(rightMeta?.scryfall?.color_identity)}
-                </div>
-                <div className="text-sm text-slate-400">{rightMeta?.set_name}</div>
-                <div className="text-xs text-slate-400 flex items-center">Mana Cost: {renderManaIcons(rightMeta?.cmc, rightMeta?.scryfall?.mana_cost) || 'N/A'}</div>
-                <div className="text-xs text-slate-400">{rightMeta?.oracle_text}</div>
-                {result && rightMeta?.name && (
-                  <a
-                    href={`https://edhrec.com/commanders/${slugify(rightMeta.name)}`}
-                    target="_blank"
-                    rel="noopener noreferrer"
-                    className="mt-2 text-indigo-300 underline text-xs"
-                  >
-                    View on EDHREC
-                  </a>
-                )}
-              </div>
-            )}
+        {customPool && (
+          <div className="flex flex-row gap-3 justify-center items-center text-sm">
+            {/* Counts what the filters leave in play; partner pairings can make it differ from the list */}
+            <span className="text-slate-300">
+              Custom pool: <span className="font-semibold">{pool.length}</span> commanders in play
+              {pool.length !== customPool.length && ` (${customPool.length} listed)`}
+            </span>
+            <Link to={`/pools${poolSearch(poolParam)}`} className="px-3 py-1 rounded bg-slate-700 hover:bg-slate-600">Edit pool</Link>
+            <button className="px-3 py-1 rounded bg-slate-700 hover:bg-slate-600" onClick={exitPool}>Exit custom pool</button>
           </div>
-        </div>
+        )}
       </div>
 
+      <GuessBoard
+        left={leftMeta}
+        right={rightMeta}
+        result={result}
+        loading={loadingPair}
+        onGuess={makeGuess}
+        renderReveal={meta => <InsightPanel key={meta.slug} meta={meta} />}
+      />
+      <div className="sr-only" aria-live="polite" aria-atomic="true">{announcement}</div>
+      <div className="mt-4 text-xs text-slate-500 hidden sm:block">Keyboard: ← or 1 picks the left card, → or 2 the right, Enter continues</div>
+
       {/* Centered result message and New Pair/New Game button */}
       {result && (
         <>
@@ -479,9 +303,9 @@ export default function CommanderGuessGame() {
               <button className="px-5 py-3 rounded bg-green-600 hover:bg-green-500 text-xl font-semibold" onClick={() => next()}>Next</button>
             ) : result === 'tie' ? null : (
               <div className="flex flex-col items-center">
-                <button className="px-5 py-3 rounded bg-red-600 hover:bg-red-500 text-xl font-semibold mb-2" onClick={() => { next(); setLastStreak(null); }}>New Game</button>
-                <div className="text-lg text-slate-300">Final Score: <span className="font-bold">{lastStreak !== null ? lastStreak : streak}</span></div>
-                {(lastStreak !== null ? lastStreak : streak) === highestStreak && highestStreak > 0 && (
+                <button className="px-5 py-3 rounded bg-red-600 hover:bg-red-500 text-xl font-semibold mb-2" onClick={startOver}>New Game</button>
+                <div className="text-lg text-slate-300">Final Score: <span className="font-bold">{finalScore}</span></div>
+                {finalScore === highestStreak && highestStreak > 0 && (
                   <div className="text-green-500 text-lg font-bold mt-1">New Record</div>
                 )}
               </div>
@@ -501,46 +325,3 @@ export default function CommanderGuessGame() {
     </div>
   );
 }
-
-// Helper: fetch EDHREC commander JSON and parse rank
-// Helper: extract latest rank from EDHREC JSON
-function getLatestCommanderRank(json) {
-  if (!json || typeof json !== 'object') return null;
-  if (!json || typeof json !== 'object') return null;
-  const container = json.container;
-  if (!container || typeof container !== 'object') return null;
-  const jsonDict = container.json_dict;
-  if (!jsonDict || typeof jsonDict !== 'object') return null;
-  const card = jsonDict.card;
-  if (!card || typeof card !== 'object') return null;
-  if (typeof card.rank === 'number') return card.rank;
-  if (typeof card.rank === 'string') return Number(card.rank);
-  return null;
-}
-export async function fetchEdhrecCommanderRank(slugOrName) {
-  // Always use slugify(name) for EDHREC URL
-  const slug = slugify(slugOrName || "");
-  const url = `https://json.edhrec.com/pages/commanders/${encodeURIComponent(slug)}.json`;
-    try {
-      const res = await fetch(url);
-      if (!res.ok) return null;
-      const j = await res.json();
-      // Prefer latest rank from rank_over_time if available
-      const latestRank = getLatestCommanderRank(j);
-      if (latestRank != null) return Number(latestRank);
-      // Look for rank in common locations
-      if (j.rank) return Number(j.rank);
-      if (j.stats && j.stats.rank) return Number(j.stats.rank);
-      if (j.meta && j.meta.rank) return Number(j.meta.rank);
-      // Some pages include panels or items with rank metadata
-      if (j.items && Array.isArray(j.items)) {
-        for (const it of j.items) {
-          if (it && typeof it === 'object' && (it.rank || it.stats?.rank)) {
-            return Number(it.rank || it.stats?.rank);
-          }
-        }
-      }
-    } catch (e) {
-    }
-  return null;
-}
\ No newline at end of file
@@ -0,0 +1,73 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import { useProfile } from "./profile.js";
+import { getDailySeed, listPuzzleSeeds, seedToDate, seedToDateParam, getPuzzleNumber } from "./dailyDate.js";
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Group seeds (newest first) into months, each padded to start on the right weekday
+function groupByMonth(seeds) {
+  const months = [];
+  for (const seed of [...seeds].reverse()) {
+    const date = seedToDate(seed);
+    const label = date.toLocaleString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+    let month = months[months.length - 1];
+    if (!month || month.label !== label) {
+      month = { label, offset: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)).getUTCDay(), days: [] };
+      months.push(month);
+    }
+    month.days[date.getUTCDate() - 1] = seed;
+  }
+  return months.reverse();
+}
+
+function dayClass(record) {
+  if (record?.solved) return 'bg-green-600 hover:bg-green-500';
+  if (record) return 'bg-yellow-600 hover:bg-yellow-500';
+  return 'bg-slate-700 hover:bg-slate-600';
+}
+
+export default function Archive() {
+  const [profile] = useProfile();
+  const today = getDailySeed();
+  const months = groupByMonth(listPuzzleSeeds(today));
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-slate-900 to-slate-800 text-white p-6 flex flex-col items-center">
+      <h1 className="text-3xl font-bold mb-4 text-center">Daily Archive</h1>
+      <p className="mb-4 text-slate-300 max-w-xl text-center">
+        Missed a day? Every past puzzle is still playable. <Link to="/daily" className="underline text-indigo-300">Today's puzzle</Link>
+      </p>
+      <div className="flex gap-4 mb-6 text-xs text-slate-300">
+        <span className="flex items-center gap-1"><span className="inline-block w-3 h-3 rounded bg-green-600"></span>Solved</span>
+        <span className="flex items-center gap-1"><span className="inline-block w-3 h-3 rounded bg-yellow-600"></span>Started</span>
+        <span className="flex items-center gap-1"><span className="inline-block w-3 h-3 rounded bg-slate-700"></span>Not played</span>
+      </div>
+      <div className="flex flex-col gap-8 w-full max-w-md">
+        {months.map(month => (
+          <div key={month.label}>
+            <h2 className="text-lg font-semibold mb-2">{month.label}</h2>
+            <div className="grid grid-cols-7 gap-1 text-center">
+              {WEEKDAYS.map(d => (
+                <span key={d} className="text-xs text-slate-400">{d}</span>
+              ))}
+              {[...Array(month.offset)].map((_, i) => <span key={`pad-${i}`}></span>)}
+              {month.days.map((seed, i) => seed ? (
+                <Link
+                  key={seed}
+                  to={seed === today ? '/daily' : `/daily/${seedToDateParam(seed)}`}
+                  title={`Puzzle #${getPuzzleNumber(seed)}`}
+                  className={`rounded py-2 text-sm text-white ${dayClass(profile.daily[seed])} ${seed === today ? 'ring-2 ring-indigo-300' : ''}`}
+                >
+                  {i + 1}
+                </Link>
+              ) : (
+                <span key={`empty-${i}`}></span>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
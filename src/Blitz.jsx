@@ -0,0 +1,234 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { Link } from "react-router-dom";
+import GuessBoard from './GuessBoard.jsx';
+import { getFilteredCommanders } from './filters.js';
+import { createPairQueue, pairWinner } from './pairQueue.js';
+import { BLITZ_MS, WRONG_PENALTY_MS, BASE_POINTS, SPEED_POINTS, blitzPoints, summarizeBlitz } from './blitz.js';
+import { useProfile, recordBlitzRun } from './profile.js';
+import { useGameKeys } from './useGameKeys.js';
+
+// Enough queued pairs that a fast player never waits on a rank lookup
+const PREFETCH_SIZE = 6;
+
+const percent = (fraction) => `${Math.round(fraction * 100)}%`;
+
+function Results({ run, guesses, leaderboard, onRestart }) {
+  return (
+    <div className="w-full max-w-xl bg-slate-900 rounded p-4 flex flex-col items-center gap-4">
+      <div className="text-4xl font-bold">{run.score} points</div>
+      <div className="flex gap-6 text-sm text-slate-300">
+        <span><span className="font-semibold text-white">{run.correct}/{run.guesses}</span> correct</span>
+        <span><span className="font-semibold text-white">{percent(run.accuracy)}</span> accuracy</span>
+        <span><span className="font-semibold text-white">{run.perMinute.toFixed(1)}</span> guesses/min</span>
+      </div>
+      <button className="px-5 py-3 rounded bg-indigo-600 hover:bg-indigo-500 text-xl font-semibold" onClick={onRestart} autoFocus>Play again</button>
+      <div className="w-full">
+        <h2 className="text-lg font-semibold mb-2">Leaderboard</h2>
+        <table className="w-full text-sm">
+          <thead className="text-slate-400">
+            <tr><th className="text-left">#</th><th className="text-right">Score</th><th className="text-right">Accuracy</th><th className="text-right">Per min</th><th className="text-right">Date</th></tr>
+          </thead>
+          <tbody>
+            {leaderboard.map((entry, i) => (
+              <tr key={entry.playedAt} className={entry.playedAt === run.playedAt ? 'text-green-400 font-semibold' : ''}>
+                <td>{i + 1}</td>
+                <td className="text-right">{entry.score}</td>
+                <td className="text-right">{percent(entry.accuracy)}</td>
+                <td className="text-right">{entry.perMinute.toFixed(1)}</td>
+                <td className="text-right">{entry.playedAt.slice(0, 10)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {guesses.length > 0 && (
+        <details className="w-full text-sm">
+          <summary className="cursor-pointer text-slate-300">This run's pairs</summary>
+          <ol className="list-decimal ml-6 mt-2 flex flex-col gap-1">
+            {guesses.map((guess, i) => (
+              <li key={i} className={guess.correct ? 'text-green-300' : 'text-red-300'}>
+                {guess.left} (#{guess.leftRank ?? '?'}) vs {guess.right} (#{guess.rightRank ?? '?'}): {guess.correct ? `+${guess.points}` : 'wrong'} in {(guess.ms / 1000).toFixed(1)}s
+              </li>
+            ))}
+          </ol>
+        </details>
+      )}
+    </div>
+  );
+}
+
+// Blitz: a one-minute classic run. Faster correct answers score more, a wrong
+// answer costs WRONG_PENALTY_MS, and the clock stops while a pair is loading.
+export default function Blitz() {
+  const [phase, setPhase] = useState('ready'); // 'ready' | 'playing' | 'done'
+  const [leftMeta, setLeftMeta] = useState(null);
+  const [rightMeta, setRightMeta] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [guesses, setGuesses] = useState([]);
+  const [feedback, setFeedback] = useState(null); // { correct, points }
+  const [lastRun, setLastRun] = useState(null);
+  const [now, setNow] = useState(() => performance.now());
+  const [profile, updateProfile] = useProfile();
+  const pool = useMemo(() => getFilteredCommanders(), []);
+  // Clock time left when the current pair appeared, when that was (null while
+  // loading) and the guesses so far, readable from the clock's interval
+  const runRef = useRef({ remaining: BLITZ_MS, shownAt: null, guesses: [] });
+
+  const queueRef = useRef(null);
+  if (!queueRef.current) queueRef.current = createPairQueue({ size: PREFETCH_SIZE });
+  // Start filling the queue on the ready screen
+  useEffect(() => {
+    const queue = queueRef.current;
+    queue.setPool(pool);
+    return () => queue.dispose();
+  }, [pool]);
+
+  const finish = useCallback((runGuesses) => {
+    runRef.current.shownAt = null;
+    const run = { ...summarizeBlitz(runGuesses), playedAt: new Date().toISOString() };
+    setLastRun(run);
+    setPhase('done');
+    updateProfile(p => recordBlitzRun(p, run));
+  }, [updateProfile]);
+
+  // A failed draw leaves the clock paused (shownAt stays null) until the
+  // player retries or ends the run
+  const showPair = (pair) => {
+    if (pair.error) {
+      setLeftMeta({ error: pair.error });
+      setRightMeta({ error: pair.error });
+      setLoading(false);
+      return;
+    }
+    setLeftMeta(pair.left);
+    setRightMeta(pair.right);
+    setLoading(false);
+    runRef.current.shownAt = performance.now();
+    setNow(runRef.current.shownAt);
+  };
+
+  const dealNext = () => {
+    const ready = queueRef.current.takeReady();
+    if (ready) {
+      showPair(ready);
+      return;
+    }
+    setLoading(true);
+    queueRef.current.take().then(showPair);
+  };
+
+  const start = () => {
+    runRef.current = { remaining: BLITZ_MS, shownAt: null, guesses: [] };
+    setGuesses([]);
+    setFeedback(null);
+    setLastRun(null);
+    setPhase('playing');
+    dealNext();
+  };
+
+  const timeLeft = () => {
+    const { remaining, shownAt } = runRef.current;
+    return shownAt === null ? remaining : remaining - (now - shownAt);
+  };
+
+  // Tick the clock and end the run when it runs out mid-pair
+  useEffect(() => {
+    if (phase !== 'playing') return undefined;
+    const timer = setInterval(() => {
+      const tick = performance.now();
+      setNow(tick);
+      const { remaining, shownAt, guesses: runGuesses } = runRef.current;
+      if (shownAt !== null && remaining - (tick - shownAt) <= 0) {
+        runRef.current.remaining = 0;
+        finish(runGuesses);
+      }
+    }, 100);
+    return () => clearInterval(timer);
+  }, [phase, finish]);
+
+  const makeGuess = (side) => {
+    const run = runRef.current;
+    if (phase !== 'playing' || loading || run.shownAt === null || leftMeta?.error) return;
+    const ms = performance.now() - run.shownAt;
+    const winner = pairWinner(leftMeta, rightMeta);
+    const correct = winner === 'tie' || winner === side;
+    const points = blitzPoints(correct, ms);
+    run.remaining -= ms + (correct ? 0 : WRONG_PENALTY_MS);
+    run.shownAt = null;
+    run.guesses = [...run.guesses, { left: leftMeta.name, right: rightMeta.name, leftRank: leftMeta.rank, rightRank: rightMeta.rank, correct, ms, points }];
+    setGuesses(run.guesses);
+    setFeedback({ correct, points });
+    if (run.remaining <= 0) finish(run.guesses);
+    else dealNext();
+  };
+
+  useGameKeys({
+    ArrowLeft: () => makeGuess('left'),
+    1: () => makeGuess('left'),
+    ArrowRight: () => makeGuess('right'),
+    2: () => makeGuess('right'),
+    Enter: () => {
+      if (phase !== 'playing') start();
+      else if (leftMeta?.error) dealNext();
+    },
+  });
+
+  const summary = summarizeBlitz(guesses);
+  const seconds = Math.max(0, timeLeft()) / 1000;
+  let announcement = '';
+  if (phase === 'done' && lastRun) {
+    announcement = `Time! ${lastRun.score} points, ${lastRun.correct} of ${lastRun.guesses} correct. Press Enter to play again.`;
+  } else if (phase === 'playing' && !loading && leftMeta?.error) {
+    announcement = `${leftMeta.error} The clock is paused. Press Enter to try again.`;
+  } else if (phase === 'playing' && !loading && leftMeta && rightMeta) {
+    const verdict = feedback ? (feedback.correct ? `Correct, plus ${feedback.points}. ` : `Wrong, minus ${WRONG_PENALTY_MS / 1000} seconds. `) : '';
+    announcement = `${verdict}${leftMeta.name} or ${rightMeta.name}?`;
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-slate-900 to-slate-800 text-white p-6 flex flex-col items-center">
+      <h1 className="text-3xl font-bold mb-4">Blitz</h1>
+      <p className="mb-4 text-slate-300 max-w-xl text-center">
+        {BLITZ_MS / 1000} seconds to pick as many better-ranked commanders as you can. Each correct guess scores {BASE_POINTS}, plus up to {SPEED_POINTS} more for speed. A wrong guess costs {WRONG_PENALTY_MS / 1000} seconds. <Link to="/" className="underline text-indigo-300">Back to classic</Link>
+      </p>
+
+      {phase === 'ready' && (
+        <button className="px-5 py-3 rounded bg-indigo-600 hover:bg-indigo-500 text-xl font-semibold" onClick={start} autoFocus>Start</button>
+      )}
+
+      {phase === 'playing' && (
+        <>
+          <div className="w-full max-w-xl mb-4 flex flex-col gap-2">
+            <div className="flex justify-between items-center">
+              <span className="font-mono text-2xl font-bold" role="timer">{seconds.toFixed(1)}s</span>
+              {feedback && (
+                <span className={`font-semibold ${feedback.correct ? 'text-green-400' : 'text-red-400'}`}>
+                  {feedback.correct ? `+${feedback.points}` : `Wrong: -${WRONG_PENALTY_MS / 1000}s`}
+                </span>
+              )}
+              <span>Score: <span className="font-semibold">{summary.score}</span></span>
+            </div>
+            <div className="w-full h-2 bg-slate-700 rounded overflow-hidden">
+              <div className={`h-full ${seconds < 10 ? 'bg-red-500' : 'bg-indigo-500'}`} style={{ width: `${(100 * seconds * 1000) / BLITZ_MS}%` }}></div>
+            </div>
+          </div>
+          <GuessBoard left={leftMeta} right={rightMeta} result={null} loading={loading} onGuess={makeGuess} />
+          {!loading && leftMeta?.error && (
+            <div className="mt-4 flex gap-3 items-center">
+              <span className="text-slate-300">The clock is paused.</span>
+              <button className="px-4 py-2 rounded bg-indigo-600 hover:bg-indigo-500" onClick={dealNext}>Try again</button>
+              {guesses.length > 0 && (
+                <button className="px-4 py-2 rounded bg-slate-700 hover:bg-slate-600" onClick={() => finish(runRef.current.guesses)}>End run</button>
+              )}
+            </div>
+          )}
+        </>
+      )}
+
+      {phase === 'done' && lastRun && (
+        <Results run={lastRun} guesses={guesses} leaderboard={profile.blitz.leaderboard} onRestart={start} />
+      )}
+      <div className="sr-only" aria-live="polite" aria-atomic="true">{announcement}</div>
+    </div>
+  );
+}
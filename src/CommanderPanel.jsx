@@ -0,0 +1,202 @@
+import React, { useState } from "react";
+import { slugify } from './slug.js';
+import { hasBackFace } from './cardModel.js';
+
+// Helper: Render color identity as icons
+function renderColorIdentity(colorIdentity) {
+  if (!Array.isArray(colorIdentity) || colorIdentity.length === 0) colorIdentity = ['C'];
+  return (
+    <span className="inline-flex items-center gap-1">
+      {colorIdentity.map((c, i) => (
+        <img
+          key={i}
+          src={`https://svgs.scryfall.io/card-symbols/${c}.svg`}
+          alt={c}
+          style={{height: '1.2em'}}
+        />
+      ))}
+    </span>
+  );
+}
+
+// Helper: Render mana value as icons (generic, colored, hybrid)
+function renderManaIcons(cmc, manaCost) {
+  if (typeof cmc !== 'number' || cmc < 0) return null;
+  if (!manaCost || typeof manaCost !== 'string' || manaCost.trim() === '') {
+    if (cmc === 0) {
+      return <img src="https://svgs.scryfall.io/card-symbols/0.svg" alt="0" style={{height: '1.2em'}} />;
+    }
+    if (cmc > 10) {
+      return <span className="inline-flex items-center"><img src="https://svgs.scryfall.io/card-symbols/10.svg" alt="10" style={{height: '1.2em'}} /> <span className="ml-1">({cmc})</span></span>;
+    }
+    return (
+      <span className="inline-flex items-center">
+        {[...Array(cmc)].map((_, i) => (
+          <img key={i} src={`https://svgs.scryfall.io/card-symbols/1.svg`} alt="1" style={{height: '1.2em'}} />
+        ))}
+      </span>
+    );
+  }
+  const symbolRegex = /\{([^}]+)\}/g;
+  const symbols = [];
+  let match;
+  while ((match = symbolRegex.exec(manaCost)) !== null) {
+    symbols.push(match[1].replace(/\//g, ""));
+  }
+  return (
+    <span className="inline-flex items-center">
+      {symbols.map((sym, i) => (
+        <img
+          key={i}
+          src={`https://svgs.scryfall.io/card-symbols/${encodeURIComponent(sym)}.svg`}
+          alt={sym}
+          style={{height: '1.2em', paddingLeft: '0.2em'}}
+        />
+      ))}
+    </span>
+  );
+}
+
+// Card image that tilts toward the pointer while it can still be picked.
+// Double-faced cards get a flip button to see the back.
+function CardImage({ faces, className, interactive, glow, onClick }) {
+  const [faceIndex, setFaceIndex] = useState(0);
+  const face = faces[faceIndex] || faces[0];
+  return (
+    <div className="relative z-10 flex justify-center">
+      <img
+        src={face.image}
+        alt={face.name + ' card'}
+        className={`${className} object-contain shadow-lg card cursor-pointer
+          ${interactive ? 'card-hover-enabled' : ''}
+          ${glow ? `card-glow-${glow}` : ''}`}
+        style={{borderRadius: '11px'}}
+        onClick={onClick}
+        // Pickable cards can be focused and chosen with Enter or Space
+        {...(interactive ? {
+          role: 'button',
+          tabIndex: 0,
+          'aria-label': `Pick ${face.name}`,
+          onKeyDown: e => {
+            if (e.key !== 'Enter' && e.key !== ' ') return;
+            e.preventDefault();
+            onClick();
+          },
+        } : {})}
+        onMouseMove={e => {
+          if (!interactive) return;
+          const img = e.currentTarget;
+          const rect = img.getBoundingClientRect();
+          const x = e.clientX - rect.left;
+          const y = e.clientY - rect.top;
+          const centerX = rect.width / 2;
+          const centerY = rect.height / 2;
+          const rotateX = ((y - centerY) / centerY) * -10;
+          const rotateY = ((x - centerX) / centerX) * 10;
+          img.style.setProperty('--rotate-x', `${rotateX}deg`);
+          img.style.setProperty('--rotate-y', `${rotateY}deg`);
+          img.style.transform = 'perspective(800px) rotateX(var(--rotate-x)) rotateY(var(--rotate-y))';
+        }}
+        onMouseLeave={e => {
+          if (!interactive) return;
+          e.currentTarget.style.transform = '';
+        }}
+      />
+      {hasBackFace(faces) && (
+        <button
+          className="absolute bottom-2 right-2 px-2 py-1 rounded bg-slate-900 bg-opacity-80 hover:bg-slate-700 text-xs"
+          onClick={() => setFaceIndex((faceIndex + 1) % faces.length)}
+          aria-label={`Show ${faces[(faceIndex + 1) % faces.length].name}`}
+        >
+          ⟲ Flip
+        </button>
+      )}
+    </div>
+  );
+}
+
+// One side of the two-card layout: art backdrop, card image, rank reveal and card details.
+// Pass onSelect to make the card clickable until it is revealed; children render under the details.
+export default function CommanderPanel({ meta, revealed = false, glow = null, loading = false, onSelect, children }) {
+  const interactive = !!onSelect && !revealed;
+  return (
+    <div
+      className="bg-slate-900 rounded-lg p-4 flex flex-col justify-between items-center"
+    >
+      <div className="w-full">
+        <div className="w-full h-96 bg-black overflow-hidden flex items-center justify-center relative">
+          {/* Rank above card */}
+          {revealed && (
+            <div className="absolute top-2 left-0 w-full flex justify-center" style={{zIndex: 30}}>
+              <span className="text-4xl font-extrabold text-indigo-300 drop-shadow-lg bg-slate-900 bg-opacity-80 px-4 py-2 rounded">
+                {typeof meta?.rank === 'number' ? `Rank #${meta.rank}` : 'Rank unavailable'}
+              </span>
+            </div>
+          )}
+          {/* Art as semi-transparent background */}
+          {meta && meta.art && (
+            <img src={meta.art} alt={meta.name + ' art'}
+              className="absolute inset-0 w-full h-full object-cover opacity-40" style={{zIndex: 1}} />
+          )}
+          {/* Card image in foreground (both cards for a partner/background pairing) */}
+          {meta && meta.cards ? (
+            <div className="relative z-10 flex items-center justify-center gap-2 w-full">
+              {meta.cards.map(card => (
+                <div key={card.name} className="max-w-[48%]">
+                  <CardImage faces={card.faces} className="max-h-72"
+                    interactive={interactive} glow={glow} onClick={() => interactive && !loading && onSelect()} />
+                </div>
+              ))}
+            </div>
+          ) : meta && meta.cardImage ? (
+            <CardImage key={meta.name} faces={meta.faces} className="max-h-80"
+              interactive={interactive} glow={glow} onClick={() => interactive && !loading && onSelect()} />
+          ) : (
+            <div className="relative z-10 text-slate-500 flex items-center gap-2">
+              {loading ? (
+                <>
+                  <span>Loading card...</span>
+                  <span className="inline-block w-5 h-5 border-2 border-t-2 border-t-indigo-400 border-gray-400 rounded-full animate-spin"></span>
+                </>
+              ) : 'No card available'}
+            </div>
+          )}
+        </div>
+        {!loading && (
+          <div className="w-full flex flex-col items-start mt-3">
+            <div className="flex items-center gap-2">
+              <span className="font-semibold">{meta?.name}</span>
+              {renderColorIdentity(meta?.scryfall?.color_identity)}
+            </div>
+            <div className="text-sm text-slate-400">{meta?.set_name}</div>
+            {(meta?.cards || [meta]).map(card => (
+              <React.Fragment key={card?.name || 'card'}>
+                {meta?.cards && <div className="text-sm mt-1">{card.name}</div>}
+                {(card?.faces || [{}]).map((face, i) => (
+                  <React.Fragment key={i}>
+                    {card?.faces?.length > 1 && <div className="text-xs text-slate-300 mt-1">{face.name}</div>}
+                    {(i === 0 || face.mana_cost) && (
+                      <div className="text-xs text-slate-400 flex items-center">Mana Cost: {renderManaIcons(card?.cmc, face.mana_cost) || 'N/A'}</div>
+                    )}
+                    <div className="text-xs text-slate-400">{face.oracle_text}</div>
+                  </React.Fragment>
+                ))}
+              </React.Fragment>
+            ))}
+            {revealed && meta?.name && (
+              <a
+                href={`https://edhrec.com/commanders/${meta.slug || slugify(meta.name)}`}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="mt-2 text-indigo-300 underline text-xs"
+              >
+                View on EDHREC
+              </a>
+            )}
+          </div>
+        )}
+        {children}
+      </div>
+    </div>
+  );
+}
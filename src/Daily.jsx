@@ -1,171 +1,415 @@
 import wishlistImage from './assets/VagabonesWishlist.png';
-import React, { useState, useEffect } from "react";
-import { DndContext, closestCenter } from '@dnd-kit/core';
-import { SortableContext, arrayMove, useSortable, rectSortingStrategy } from '@dnd-kit/sortable';
+import React, { useState, useEffect, useMemo } from "react";
+import { Link, useParams, useSearchParams } from "react-router-dom";
+import { DndContext, closestCenter, KeyboardSensor, MouseSensor, TouchSensor, useSensor, useSensors } from '@dnd-kit/core';
+import { SortableContext, useSortable, rectSortingStrategy, verticalListSortingStrategy, sortableKeyboardCoordinates } from '@dnd-kit/sortable';
 import { CSS } from '@dnd-kit/utilities';
-import commanders from "./commanders.json";
-import { getFilteredCommanders, fetchEdhrecCommanderRank } from "./App.jsx";
+import { commanders, getPairEntries, pairRanks } from "./commanderData.js";
+import { getFaces, hasBackFace, cardSlug } from "./cardModel.js";
+import { buildPairEntries } from "./pairings.js";
+import { decodePool, poolSearch } from "./customPool.js";
+import { pickDailyCommanders, cardsFromManifest, DAILY_SIZE } from "./dailyPicker.js";
+import { rankProvider, RANK_OK } from "./rankProvider.js";
+import { useProfile, loadProfile, recordDaily, dailyStats } from "./profile.js";
+import { getDailySeed, msUntilNextPuzzle, getPuzzleNumber, seedToDateParam, dateParamToSeed, isPlayableSeed } from "./dailyDate.js";
+import { buildShareText, shareResult } from "./share.js";
+import { finalScore, pickHint, HINT_LIMIT, HINT_PENALTY } from "./dailyScore.js";
+import { moveUnlocked, applyGuess, isRepeatGuess } from "./dailyBoard.js";
 
-function getRanks(cards) {
-  return cards.map(card => card.rank ?? 9999);
+// Helper: one card's picture, with a flip button for double-faced cards
+function DailyFace({ card, className }) {
+  const faces = getFaces(card);
+  const [faceIndex, setFaceIndex] = useState(0);
+  const face = faces[faceIndex] || faces[0];
+  return (
+    <div className="relative flex-1 min-w-0">
+      <img src={face.image} alt={face.name} className={`w-full max-h-[500px] object-contain ${className}`} style={{ borderRadius: '6%' }} />
+      {hasBackFace(faces) && (
+        <button
+          className="absolute bottom-2 right-2 px-2 py-1 rounded bg-slate-900 bg-opacity-80 hover:bg-slate-700 text-xs"
+          // Keep the press from starting a drag
+          onPointerDown={e => e.stopPropagation()}
+          onKeyDown={e => e.stopPropagation()}
+          onClick={() => setFaceIndex((faceIndex + 1) % faces.length)}
+          aria-label={`Show ${faces[(faceIndex + 1) % faces.length].name}`}
+        >
+          ⟲ Flip
+        </button>
+      )}
+    </div>
+  );
+}
+
+// Helper: a partner/background pairing shows both cards side by side
+function DailyCardImage({ card, className }) {
+  return (
+    <div className="w-full flex gap-1">
+      {(card.pair || [card]).map(half => <DailyFace key={half.id} card={half} className={className} />)}
+    </div>
+  );
+}
+
+// Defined outside DailyPuzzle so a re-render doesn't remount the cards and drop keyboard focus
+function SortableCard({ card, idx, isLast, isCorrect, isSolved, feedback }) {
+  const { attributes, listeners, setNodeRef, transform, transition, isDragging } = useSortable({ id: card.id });
+  const style = {
+    transform: CSS.Transform.toString(transform),
+    transition,
+    opacity: isDragging ? 0.5 : 1,
+    cursor: !isSolved && !isCorrect ? 'move' : 'default',
+    touchAction: 'manipulation',
+  };
+  // Disable drag listeners/attributes if card is in correct slot
+  const dragProps = !isSolved && !isCorrect ? { ...attributes, ...listeners, 'aria-label': `${card.name}, position ${idx + 1}` } : {};
+  return (
+    <div ref={setNodeRef} style={style} {...dragProps} className="flex-1 min-h-[1px] flex flex-col items-center relative">
+      {/* Absolutely positioned label above first card */}
+      {idx === 0 && !isDragging && (
+        <span className="absolute -top-6 left-1/2 -translate-x-1/2 text-xs font-bold text-green-300 uppercase tracking-wide text-center pointer-events-none" style={{whiteSpace: 'nowrap'}}>Most Popular</span>
+      )}
+      {/* Absolutely positioned label above last card */}
+      {isLast && !isDragging && (
+        <span className="absolute -top-6 left-1/2 -translate-x-1/2 text-xs font-bold text-red-300 uppercase tracking-wide text-center pointer-events-none" style={{whiteSpace: 'nowrap'}}>Least Popular</span>
+      )}
+      <DailyCardImage card={card} className={isCorrect ? 'card-glow-green' : ''} />
+      {isSolved ? (
+        <span className="text-base text-green-400 font-bold">Rank #{card.rank ?? "?"}</span>
+      ) : (
+        <CardFeedback feedback={feedback} />
+      )}
+    </div>
+  );
+}
+
+// The last guess's arrow and any rank revealed by a hint. 'higher' cards were
+// placed too low and belong nearer Most Popular.
+function CardFeedback({ feedback, vertical = false }) {
+  if (!feedback) return null;
+  const arrow = feedback.direction === 'higher' ? (vertical ? '▲' : '◀') : (vertical ? '▼' : '▶');
+  return (
+    <div className="flex flex-wrap justify-center gap-2 items-center text-xs font-semibold">
+      {feedback.direction === 'higher' && <span className="text-amber-300">{arrow} Too low</span>}
+      {feedback.direction === 'lower' && <span className="text-sky-300">Too high {arrow}</span>}
+      {feedback.hintRank != null && <span className="text-indigo-300">Hint: rank #{feedback.hintRank}</span>}
+    </div>
+  );
+}
+
+// Phone layout: one row per commander, most popular at the top
+function RowContent({ card, idx, isCorrect, isSolved, feedback }) {
+  return (
+    <>
+      <span className="w-6 shrink-0 text-center font-bold text-slate-300">{idx + 1}</span>
+      <div className="w-20 shrink-0">
+        <DailyCardImage card={card} className={isCorrect ? 'card-glow-green' : ''} />
+      </div>
+      <div className="flex-1 min-w-0">
+        <div className="font-semibold text-sm">{card.name}</div>
+        {isSolved ? (
+          <span className="text-sm text-green-400 font-bold">Rank #{card.rank ?? "?"}</span>
+        ) : isCorrect ? (
+          <span className="text-xs text-green-400">Locked in</span>
+        ) : feedback ? (
+          <div className="flex"><CardFeedback feedback={feedback} vertical /></div>
+        ) : (
+          <span className="text-xs text-slate-400">Hold, then drag</span>
+        )}
+      </div>
+      {!isSolved && !isCorrect && <span aria-hidden="true" className="text-2xl text-slate-500 px-1">≡</span>}
+    </>
+  );
+}
+
+const rowClass = "w-full flex items-center gap-3 p-2 rounded bg-slate-900";
+
+function SortableRow({ card, idx, isSolved, feedback }) {
+  const { attributes, listeners, setNodeRef, transform, transition, isDragging } = useSortable({ id: card.id });
+  const style = {
+    transform: CSS.Transform.toString(transform),
+    transition,
+    opacity: isDragging ? 0.5 : 1,
+    // Let the page scroll until a press turns into a drag
+    touchAction: 'manipulation',
+  };
+  const dragProps = !isSolved ? { ...attributes, ...listeners, 'aria-label': `${card.name}, position ${idx + 1}` } : {};
+  return (
+    <div ref={setNodeRef} style={style} {...dragProps} className={rowClass}>
+      <RowContent card={card} idx={idx} isCorrect={false} isSolved={isSolved} feedback={feedback} />
+    </div>
+  );
+}
+
+function formatCountdown(ms) {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const h = Math.floor(total / 3600).toString().padStart(2, '0');
+  const m = Math.floor((total % 3600) / 60).toString().padStart(2, '0');
+  const sec = (total % 60).toString().padStart(2, '0');
+  return `${h}:${m}:${sec}`;
 }
 
-function getDailySeed() {
-  const now = new Date();
-  // Use UTC date for consistency
-  const year = now.getUTCFullYear();
-  const month = (now.getUTCMonth() + 1).toString().padStart(2, '0');
-  const day = now.getUTCDate().toString().padStart(2, '0');
-  return Number(`${year}${month}${day}`);
+function ShareButton({ seed, guesses, solved, score, hints }) {
+  const [status, setStatus] = useState(null);
+  async function onShare() {
+    const outcome = await shareResult(buildShareText({ seed, guesses, solved, score, hints }));
+    setStatus(outcome === 'copied' ? 'Copied to clipboard!' : outcome === 'failed' ? "Couldn't share, try again" : null);
+  }
+  return (
+    <div className="flex flex-col items-center mb-4">
+      <button className="px-4 py-2 rounded bg-green-600 hover:bg-green-500 font-semibold" onClick={onShare}>Share</button>
+      {status && <span className="mt-1 text-xs text-slate-300">{status}</span>}
+    </div>
+  );
 }
-export default function Daily() {
-  const [isCentered, setIsCentered] = useState(true);
-  // Ref for scroll container
-  const scrollRef = React.useRef(null);
+
+function NextPuzzleCountdown() {
+  const [remaining, setRemaining] = useState(() => msUntilNextPuzzle());
+  useEffect(() => {
+    const timer = setInterval(() => setRemaining(msUntilNextPuzzle()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+  // msUntilNextPuzzle wraps to ~24h once midnight passes
+  const [startedFor] = useState(() => getDailySeed());
+  if (getDailySeed() !== startedFor) {
+    return (
+      <button className="px-4 py-2 rounded mb-4 bg-indigo-600 hover:bg-indigo-500" onClick={() => window.location.reload()}>
+        Play today's puzzle
+      </button>
+    );
+  }
+  return (
+    <div className="px-4 py-2 rounded mb-4 bg-slate-700 text-slate-200">
+      Next puzzle in <span className="font-mono font-semibold">{formatCountdown(remaining)}</span>
+    </div>
+  );
+}
+
+const COMPACT_QUERY = '(max-width: 767px)';
+
+// Also plays practice rounds over a custom pool: a fresh random draw each
+// time, with nothing written to the profile.
+function DailyPuzzle({ seed, isToday, practicePool = null, poolLink, onNewDeal }) {
+  const practice = !!practicePool;
   const [commanderList, setCommanderList] = useState([]);
+  const [loaded, setLoaded] = useState(false);
   const [order, setOrder] = useState([]);
   const [guessHistory, setGuessHistory] = useState([]);
   const [isSolved, setIsSolved] = useState(false);
   const [correctPositions, setCorrectPositions] = useState([]);
+  // IDs of cards whose rank a hint has revealed
+  const [hints, setHints] = useState([]);
+  const [profile, updateProfile] = useProfile();
+  const stats = dailyStats(profile);
 
   useEffect(() => {
-    // Seeded random function
-    function seededRandom(seed) {
-      let x = Math.sin(seed) * 10000;
-      return x - Math.floor(x);
-    }
-  async function pickValidRankedCommanders(n = 6, maxAttempts = 50) {
-      const arr = [...getFilteredCommanders()];
-      const result = [];
-      let attempts = 0;
-      const seedBase = getDailySeed();
-      while (result.length < n && arr.length && attempts < maxAttempts) {
-        // Use seeded random for deterministic daily selection
-        const idx = Math.floor(seededRandom(seedBase + attempts) * arr.length);
-        const card = arr[idx];
-        arr.splice(idx, 1);
-        const rank = await fetchEdhrecCommanderRank(card.name);
-        if (typeof rank === 'number' && rank > 0) {
-          result.push({ ...card, rank });
-        }
-        attempts++;
+    // Prefer the frozen manifest from scripts/build-daily.js so everyone gets the same puzzle
+    async function loadManifestCards() {
+      try {
+        const res = await fetch(`${import.meta.env.BASE_URL}daily/${seedToDateParam(seed)}.json`);
+        if (!res.ok) return null;
+        return cardsFromManifest(await res.json(), [...commanders, ...getPairEntries()]);
+      } catch {
+        return null;
       }
-      return result;
+    }
+    // No manifest for this day: draw with the same algorithm, looking ranks up as needed
+    async function pickValidRankedCommanders(cards, options = {}) {
+      return pickDailyCommanders(cards, seed, {
+        getRank: async card => {
+          const lookup = await rankProvider.getRank(cardSlug(card));
+          return lookup.status === RANK_OK ? lookup.rank : null;
+        },
+        ...options,
+      });
     }
     async function pickAndLoadRanks() {
-      const cardsWithRanks = await pickValidRankedCommanders(6);
+      if (practicePool) {
+        const cards = await pickValidRankedCommanders(practicePool, { rng: Math.random });
+        setCommanderList(cards);
+        setOrder(cards);
+        setLoaded(true);
+        return;
+      }
+      const cardsWithRanks = (await loadManifestCards()) || (await pickValidRankedCommanders([...commanders, ...getPairEntries()]));
       setCommanderList(cardsWithRanks);
-      setOrder(cardsWithRanks);
+      // Resume today's attempt if there is one
+      const saved = loadProfile().daily[seed];
+      const savedOrder = saved?.order?.map(id => cardsWithRanks.find(card => card.id === id));
+      if (savedOrder && savedOrder.length === cardsWithRanks.length && savedOrder.every(Boolean)) {
+        setOrder(savedOrder);
+        setGuessHistory(saved.guesses || []);
+        setCorrectPositions(saved.correctPositions || []);
+        setIsSolved(!!saved.solved);
+        setHints(saved.hints || []);
+      } else {
+        setOrder(cardsWithRanks);
+      }
+      setLoaded(true);
     }
     pickAndLoadRanks();
-  }, []);
+  }, [seed, practicePool]);
 
-  // Centering logic runs after cards are loaded
-  useEffect(() => {
-    function updateCentering() {
-      if (scrollRef.current) {
-        const hasOverflow = scrollRef.current.scrollWidth > scrollRef.current.clientWidth;
-        setIsCentered(!hasOverflow);
-      }
-    }
-    updateCentering();
-    window.addEventListener('resize', updateCentering);
-    return () => {
-      window.removeEventListener('resize', updateCentering);
-    };
-  }, [order]);
+  // Practice rounds are throwaway, so only the real Daily is saved
+  const saveRecord = (record) => {
+    if (!practice) updateProfile(p => recordDaily(p, seed, record));
+  };
 
   // Dnd-kit drag and drop
   function handleDragEnd(event) {
     const { active, over } = event;
-    if (active.id !== over?.id) {
-      // Get indices of incorrect cards
-      const incorrectIndices = order.map((_, idx) => !correctPositions[idx] ? idx : null).filter(idx => idx !== null);
-      // Get current incorrect cards
-      const incorrectCards = incorrectIndices.map(idx => order[idx]);
-      // Find indices in incorrectCards
-      const oldIndex = incorrectCards.findIndex(card => card.id === active.id);
-      const newIndex = incorrectCards.findIndex(card => card.id === over.id);
-      // If either dragged or target card is not incorrect, do nothing
-      if (oldIndex === -1 || newIndex === -1) return;
-      // Reorder incorrect cards
-      const newIncorrectCards = arrayMove(incorrectCards, oldIndex, newIndex);
-      // Merge back into full order, keeping correct cards in place
-      const newOrder = [...order];
-      incorrectIndices.forEach((idx, i) => {
-        newOrder[idx] = newIncorrectCards[i];
-      });
-      setOrder(newOrder);
-    }
+    // Only cards that aren't locked in can move
+    const newOrder = moveUnlocked(order, correctPositions, active.id, over?.id);
+    if (!newOrder) return;
+    setOrder(newOrder);
+    // Save the board as it stands so a reload puts the cards back where they were
+    saveRecord({ order: newOrder.map(card => card.id) });
   }
 
-  function SortableCard({ card, idx, isCorrect, isSolved }) {
-    const { attributes, listeners, setNodeRef, transform, transition, isDragging } = useSortable({ id: card.id });
-    const style = {
-      transform: CSS.Transform.toString(transform),
-      transition,
-      opacity: isDragging ? 0.5 : 1,
-      cursor: !isSolved && !isCorrect ? 'move' : 'default',
-    };
-    // Disable drag listeners/attributes if card is in correct slot
-    const dragProps = !isSolved && !isCorrect ? { ...attributes, ...listeners } : {};
-    return (
-      <div ref={setNodeRef} style={style} {...dragProps} className="flex-1 min-h-[1px] flex flex-col items-center relative">
-        {/* Absolutely positioned label above first card */}
-        {idx === 0 && !isDragging && (
-          <span className="absolute -top-6 left-1/2 -translate-x-1/2 text-xs font-bold text-green-300 uppercase tracking-wide text-center pointer-events-none" style={{whiteSpace: 'nowrap'}}>Most Popular</span>
-        )}
-        {/* Absolutely positioned label above last card */}
-        {idx === order.length - 1 && !isDragging && (
-          <span className="absolute -top-6 left-1/2 -translate-x-1/2 text-xs font-bold text-red-300 uppercase tracking-wide text-center pointer-events-none" style={{whiteSpace: 'nowrap'}}>Least Popular</span>
-        )}
-      <img src={card.image_uris.large} alt={card.name} className={`w-full max-h-[500px] object-contain ${isCorrect ? ' card-glow-green' : ''}`} style={{ borderRadius: '6%' }} />
-        {isSolved && (
-          <span className="text-base text-green-400 font-bold">Rank #{card.rank ?? "?"}</span>
-        )}
-      </div>
-    );
+  // Cards can be picked up with Space/Enter and moved with the arrow keys.
+  // On touch a short hold starts the drag, so swiping still scrolls the page.
+  const sensors = useSensors(
+    useSensor(MouseSensor),
+    useSensor(TouchSensor, { activationConstraint: { delay: 200, tolerance: 8 } }),
+    useSensor(KeyboardSensor, { coordinateGetter: sortableKeyboardCoordinates })
+  );
+  const nameOf = id => order.find(card => card.id === id)?.name ?? 'Card';
+  const positionOf = id => order.findIndex(card => card.id === id) + 1;
+  const announcements = {
+    onDragStart: ({ active }) => `Picked up ${nameOf(active.id)} at position ${positionOf(active.id)}.`,
+    onDragOver: ({ active, over }) => (over ? `Moved ${nameOf(active.id)} to position ${positionOf(over.id)}.` : `${nameOf(active.id)} is not over a position.`),
+    onDragEnd: ({ active, over }) => (over ? `Dropped ${nameOf(active.id)} at position ${positionOf(over.id)}.` : `Dropped ${nameOf(active.id)}.`),
+    onDragCancel: ({ active }) => `Cancelled. ${nameOf(active.id)} is back at position ${positionOf(active.id)}.`,
+  };
+  const screenReaderInstructions = {
+    draggable: 'To pick up a commander, press Space or Enter. Use the arrow keys to move it, then Space or Enter to drop it, or Escape to cancel. Commanders in the right place are locked.',
+  };
+
+  const lastGuess = guessHistory[guessHistory.length - 1];
+  const score = isSolved ? finalScore(guessHistory, hints.length) : null;
+  // Arrows from the last guess and ranks revealed by hints, keyed by card id
+  const feedback = {};
+  if (lastGuess?.directions) {
+    lastGuess.ids.split(',').forEach((id, i) => {
+      if (lastGuess.directions[i]) feedback[id] = { direction: lastGuess.directions[i] };
+    });
+  }
+  hints.forEach(id => {
+    feedback[id] = { ...feedback[id], hintRank: order.find(card => card.id === id)?.rank };
+  });
+  // Nothing can be moved, guessed or hinted until the whole hand is dealt
+  const ready = loaded && order.length === DAILY_SIZE;
+  const canGuess = ready && !isRepeatGuess(order, guessHistory);
+  const canHint = ready && !isSolved && hints.length < HINT_LIMIT && !!pickHint(order, correctPositions, hints);
+
+  // Guess results for screen readers
+  let resultAnnouncement = '';
+  if (isSolved) {
+    resultAnnouncement = `Solved in ${guessHistory.length} ${guessHistory.length === 1 ? 'guess' : 'guesses'}, score ${score} out of 100! ` +
+      order.map((card, i) => `${i + 1}. ${card.name}, rank ${card.rank}`).join('; ') + '.';
+  } else if (lastGuess) {
+    const right = lastGuess.correctness.map((correct, i) => (correct ? i + 1 : null)).filter(Boolean);
+    const moves = order
+      .filter(card => feedback[card.id]?.direction)
+      .map(card => `${card.name} is too ${feedback[card.id].direction === 'higher' ? 'low' : 'high'}`);
+    resultAnnouncement = `Guess ${guessHistory.length}: ${right.length} of ${lastGuess.correctness.length} in the right place` +
+      (right.length ? ` (positions ${right.join(', ')}), now locked.` : '.') +
+      (lastGuess.score != null ? ` Order score ${lastGuess.score}.` : '') +
+      (moves.length ? ` ${moves.join('; ')}.` : '');
   }
 
   function handleGuess() {
-    const ranks = getRanks(order);
-    const sortedRanks = [...ranks].sort((a, b) => a - b);
-    const correctness = ranks.map((rank, i) => rank === sortedRanks[i]);
-    const ids = order.map(card => card.id).join(',');
-    setGuessHistory([...guessHistory, { correctness, ids }]);
-    setCorrectPositions(correctness);
-    if (correctness.every(Boolean)) setIsSolved(true);
+    const guess = canGuess && applyGuess(order, guessHistory);
+    if (!guess) return;
+    const { history, locked, solved } = guess;
+    setGuessHistory(history);
+    setCorrectPositions(locked);
+    if (solved) setIsSolved(true);
+    saveRecord({
+      solved,
+      guesses: history,
+      order: order.map(card => card.id),
+      correctPositions: locked,
+      ...(solved ? { score: finalScore(history, hints.length) } : {}),
+    });
   }
 
-  // Detect touch capability using window.matchMedia
-  const [isTouchDevice, setIsTouchDevice] = useState(false);
+  function revealHint() {
+    const card = pickHint(order, correctPositions, hints);
+    if (!card || hints.length >= HINT_LIMIT) return;
+    const next = [...hints, card.id];
+    setHints(next);
+    saveRecord({ hints: next });
+  }
+
+  // Narrow screens get the vertical list instead of the card row
+  const [isCompact, setIsCompact] = useState(() => window.matchMedia(COMPACT_QUERY).matches);
   useEffect(() => {
-    const mq = window.matchMedia('(pointer: coarse)');
-    setIsTouchDevice(mq.matches);
-    const handler = e => setIsTouchDevice(e.matches);
+    const mq = window.matchMedia(COMPACT_QUERY);
+    const handler = e => setIsCompact(e.matches);
     mq.addEventListener('change', handler);
     return () => mq.removeEventListener('change', handler);
   }, []);
 
+  // Unranked or ineligible cards can leave a pool short of a full hand
+  if (practice && loaded && order.length < DAILY_SIZE) {
+    return (
+      <Unavailable title="Rank Your Pool">
+        <p className="mb-4 text-slate-300">Not enough ranked commanders in this pool to deal {DAILY_SIZE}.</p>
+        <Link to={poolLink} className="underline text-indigo-300">Edit pool</Link>
+      </Unavailable>
+    );
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-b from-slate-900 to-slate-800 text-white p-6 flex flex-col items-center">
-      {isTouchDevice && (
-        <div className="w-full bg-yellow-400 text-black text-center py-2 mb-4 rounded font-bold text-sm shadow-lg">
-          Mobile is not yet supported. For the best experience, please use a desktop device.
-        </div>
+      <h1 className="text-3xl font-bold mb-1 text-center">{practice ? 'Rank Your Pool' : 'Daily Ranking Challenge'}</h1>
+      <div className="mb-4 text-sm text-slate-400 text-center">
+        {practice ? (
+          <>Practice round from your custom pool | <Link to={poolLink} className="underline text-indigo-300">Edit pool</Link></>
+        ) : (
+          <>Puzzle #{getPuzzleNumber(seed)} | {seedToDateParam(seed)} | <Link to="/daily/archive" className="underline text-indigo-300">Archive</Link></>
+        )}
+      </div>
+      {loaded && !ready && (
+        <p className="mb-4 text-red-300">Couldn't deal this puzzle. Check your connection and reload the page.</p>
       )}
-      <h1 className="text-3xl font-bold mb-4 text-center">Daily Ranking Challenge</h1>
       <p className="mb-4 text-slate-300 max-w-xl text-center">
-        Drag to rearrange the commanders from <b>most popular (left)</b> to <b>least popular (right)</b>. Popularity is based on EDHREC rank.
+        {isCompact ? (
+          <>Hold and drag to rearrange the commanders from <b>most popular (top)</b> to <b>least popular (bottom)</b>.</>
+        ) : (
+          <>Drag to rearrange the commanders from <b>most popular (left)</b> to <b>least popular (right)</b>.</>
+        )} Popularity is based on EDHREC rank. After each guess, arrows show which way misplaced cards need to go, and your final score out of 100 rewards orders that were close.
       </p>
 
-      {/* Card grid with dnd-kit sortable, no horizontal scroll, fits screen */}
-      <div className="w-full" ref={scrollRef}>
-        <DndContext collisionDetection={closestCenter} onDragEnd={handleDragEnd}>
+      {/* Card grid (or list on phones) with dnd-kit sortable, no horizontal scroll, fits screen */}
+      <div className="w-full">
+        <DndContext
+          sensors={sensors}
+          collisionDetection={closestCenter}
+          onDragEnd={handleDragEnd}
+          accessibility={{ announcements, screenReaderInstructions }}
+        >
           <SortableContext
+            disabled={!ready}
             items={order.filter((_, idx) => !correctPositions[idx]).map(card => card.id)}
-            strategy={rectSortingStrategy}
+            strategy={isCompact ? verticalListSortingStrategy : rectSortingStrategy}
           >
+            {isCompact ? (
+              <div className="w-full max-w-md mx-auto flex flex-col gap-2 mb-6">
+                <span className="text-xs font-bold text-green-300 uppercase tracking-wide">Most Popular</span>
+                {order.map((card, idx) => {
+                  if (!card) return null;
+                  // Locked rows stay put, exactly like locked cards in the grid
+                  return correctPositions[idx] ? (
+                    <div key={card.id} className={`${rowClass} ring-2 ring-green-500`}>
+                      <RowContent card={card} idx={idx} isCorrect isSolved={isSolved} />
+                    </div>
+                  ) : (
+                    <SortableRow key={card.id} card={card} idx={idx} isSolved={isSolved} feedback={feedback[card.id]} />
+                  );
+                })}
+                <span className="text-xs font-bold text-red-300 uppercase tracking-wide">Least Popular</span>
+              </div>
+            ) : (
               <div
                 className="
                   w-full
@@ -173,66 +417,82 @@ export default function Daily() {
                   gap-4 mb-6 pt-6
                 "
               >
-              {order.map((card, idx) => {
-                if (!card || !card.image_uris || !card.image_uris.large) return null;
-                const isCorrect = correctPositions[idx];
-                // Only make incorrect cards sortable
-                if (isCorrect) {
-                  return (
-                    <div key={card.id} className="flex-1 min-h-[1px] flex flex-col items-center relative">
-                      {idx === 0 && (
-                        <span className="absolute -top-6 left-1/2 -translate-x-1/2 text-xs font-bold text-green-300 uppercase tracking-wide text-center pointer-events-none" style={{whiteSpace: 'nowrap'}}>Most Popular</span>
-                      )}
-                      {idx === order.length - 1 && (
-                        <span className="absolute -top-6 left-1/2 -translate-x-1/2 text-xs font-bold text-red-300 uppercase tracking-wide text-center pointer-events-none" style={{whiteSpace: 'nowrap'}}>Least Popular</span>
-                      )}
-                      <img src={card.image_uris.large} alt={card.name} className="w-full max-h-[500px] object-contain mb-3 shadow-lg card-glow-green" style={{ borderRadius: '6%' }} />
-                      {isSolved && (
-                        <span className="text-base text-green-400 font-bold">Rank #{card.rank ?? "?"}</span>
-                      )}
-                    </div>
-                  );
-                } else {
-                  return (
-                    <SortableCard key={card.id} card={card} idx={idx} isCorrect={isCorrect} isSolved={isSolved} />
-                  );
-                }
-              })}
-            </div>
+                {order.map((card, idx) => {
+                  if (!card) return null;
+                  const isCorrect = correctPositions[idx];
+                  // Only make incorrect cards sortable
+                  if (isCorrect) {
+                    return (
+                      <div key={card.id} className="flex-1 min-h-[1px] flex flex-col items-center relative">
+                        {idx === 0 && (
+                          <span className="absolute -top-6 left-1/2 -translate-x-1/2 text-xs font-bold text-green-300 uppercase tracking-wide text-center pointer-events-none" style={{whiteSpace: 'nowrap'}}>Most Popular</span>
+                        )}
+                        {idx === order.length - 1 && (
+                          <span className="absolute -top-6 left-1/2 -translate-x-1/2 text-xs font-bold text-red-300 uppercase tracking-wide text-center pointer-events-none" style={{whiteSpace: 'nowrap'}}>Least Popular</span>
+                        )}
+                        <DailyCardImage card={card} className="mb-3 shadow-lg card-glow-green" />
+                        {isSolved && (
+                          <span className="text-base text-green-400 font-bold">Rank #{card.rank ?? "?"}</span>
+                        )}
+                      </div>
+                    );
+                  } else {
+                    return (
+                      <SortableCard key={card.id} card={card} idx={idx} isLast={idx === order.length - 1} isCorrect={isCorrect} isSolved={isSolved} feedback={feedback[card.id]} />
+                    );
+                  }
+                })}
+              </div>
+            )}
           </SortableContext>
         </DndContext>
       </div>
-      {/* Removed custom mobile drag-scroll bar to avoid interfering with dnd-kit touch drag-and-drop */}
-      <button
-        className={`px-4 py-2 rounded mb-4 ${(() => {
-          if (isSolved) return 'bg-indigo-600 hover:bg-indigo-500';
-          if (!guessHistory.length) return 'bg-indigo-600 hover:bg-indigo-500';
-          const last = guessHistory[guessHistory.length - 1];
-          const currentIds = order.map(card => card.id).join(',');
-          return last && last.ids === currentIds ? 'bg-gray-500 cursor-not-allowed' : 'bg-indigo-600 hover:bg-indigo-500';
-        })()}`}
-        onClick={isSolved ? () => window.location.reload() : handleGuess}
-        disabled={(() => {
-          if (isSolved) return false;
-          if (!guessHistory.length) return false;
-          const last = guessHistory[guessHistory.length - 1];
-          const currentIds = order.map(card => card.id).join(',');
-          return last && last.ids === currentIds;
-        })()}
-      >
-        {isSolved ? 'Reset' : 'Guess Order'}
-      </button>
+      {isSolved ? (
+        <>
+          <div className="mb-2 text-2xl font-bold">Score: {score}/100</div>
+          {practice ? (
+            <button className="px-4 py-2 rounded mb-4 bg-indigo-600 hover:bg-indigo-500" onClick={onNewDeal}>Deal another round</button>
+          ) : (
+            <ShareButton seed={seed} guesses={guessHistory} solved={isSolved} score={score} hints={hints.length} />
+          )}
+          {practice ? null : isToday ? (
+            <NextPuzzleCountdown />
+          ) : (
+            <Link to="/daily/archive" className="mb-4 underline text-indigo-300">Back to the archive</Link>
+          )}
+        </>
+      ) : (
+        <button
+          className={`px-4 py-2 rounded mb-4 ${canGuess ? 'bg-indigo-600 hover:bg-indigo-500' : 'bg-gray-500 cursor-not-allowed'}`}
+          onClick={handleGuess}
+          disabled={!canGuess}
+        >
+          Guess Order
+        </button>
+      )}
+      {!isSolved && (
+        <button
+          className={`px-3 py-1 rounded mb-4 text-sm ${canHint ? 'bg-slate-700 hover:bg-slate-600' : 'bg-slate-800 text-slate-500 cursor-not-allowed'}`}
+          onClick={revealHint}
+          disabled={!canHint}
+          title={`Reveals the rank of the card furthest from its spot. Costs ${HINT_PENALTY} points.`}
+        >
+          Hint: reveal a rank ({HINT_LIMIT - hints.length} left)
+        </button>
+      )}
       <div className="flex flex-col items-center">
         <span className="mb-2">Guesses: {guessHistory.length}</span>
         <div className="flex flex-col gap-2">
           {guessHistory.map((guess, i) => (
-            <div key={i} className="flex flex-row gap-1">
+            <div key={i} className="flex flex-row gap-1 items-center" role="img"
+              aria-label={`Guess ${i + 1}: ${guess.correctness.map(correct => (correct ? 'right' : 'wrong')).join(', ')}${guess.score != null ? `, order score ${guess.score}` : ''}`}>
               {guess.correctness.map((correct, j) => (
                 <span
                   key={j}
                   className={`inline-block w-4 h-4 rounded ${correct ? "bg-green-500" : "bg-red-500"}`}
                 ></span>
               ))}
+              {guess.score != null && <span className="ml-2 text-xs text-slate-400 w-8 text-right">{guess.score}</span>}
             </div>
           ))}
         </div>
@@ -240,6 +500,14 @@ export default function Daily() {
       {isSolved && (
         <div className="mt-6 text-green-400 font-bold text-xl">You solved it!</div>
       )}
+      <div className="sr-only" aria-live="polite" aria-atomic="true">{resultAnnouncement}</div>
+      {!practice && stats.played > 0 && (
+        <div className="mt-2 text-xs text-slate-400">
+          Dailies played: {stats.played} | Solved: {stats.solved}
+          {stats.averageGuesses !== null && <> | Average guesses: {stats.averageGuesses.toFixed(1)}</>}
+          {stats.averageScore !== null && <> | Average score: {Math.round(stats.averageScore)}</>}
+        </div>
+      )}
       <div className="w-full flex justify-center items-center mt-8 mb-2 gap-6">
         <a href="https://store.steampowered.com/app/3157380/Vagabones/" target="_blank" rel="noopener noreferrer">
           <img src={wishlistImage} alt="Vagabones Wishlist Banner" className="h-auto" style={{display: 'block'}} />
@@ -252,3 +520,48 @@ export default function Daily() {
     </div>
   );
 }
+
+function Unavailable({ title, children }) {
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-slate-900 to-slate-800 text-white p-6 flex flex-col items-center">
+      <h1 className="text-3xl font-bold mb-4 text-center">{title}</h1>
+      {children}
+    </div>
+  );
+}
+
+// `practice` (the /pools/rank route) ranks DAILY_SIZE commanders from the ?pool= list instead of the day's puzzle
+export default function Daily({ practice = false }) {
+  const { date } = useParams();
+  const [searchParams] = useSearchParams();
+  // Fixed for the lifetime of the page so a puzzle started before midnight saves under its own day
+  const [today] = useState(getDailySeed);
+  const [deal, setDeal] = useState(0);
+  const poolParam = practice ? searchParams.get('pool') || '' : '';
+  const practicePool = useMemo(() => {
+    const { cards } = decodePool(poolParam);
+    return [...cards, ...buildPairEntries(cards, pairRanks)];
+  }, [poolParam]);
+  if (practice) {
+    const poolLink = `/pools${poolSearch(poolParam)}`;
+    if (practicePool.length < DAILY_SIZE) {
+      return (
+        <Unavailable title="Rank Your Pool">
+          <p className="mb-4 text-slate-300">This link doesn't hold enough commanders to play.</p>
+          <Link to={poolLink} className="underline text-indigo-300">Build a pool</Link>
+        </Unavailable>
+      );
+    }
+    return <DailyPuzzle key={`${poolParam}:${deal}`} seed={today} practicePool={practicePool} poolLink={poolLink} onNewDeal={() => setDeal(deal + 1)} />;
+  }
+  const seed = date ? dateParamToSeed(date) : today;
+  if (!isPlayableSeed(seed, today)) {
+    return (
+      <Unavailable title="Daily Ranking Challenge">
+        <p className="mb-4 text-slate-300">There's no puzzle for {date}.</p>
+        <Link to="/daily/archive" className="underline text-indigo-300">Pick one from the archive</Link>
+      </Unavailable>
+    );
+  }
+  return <DailyPuzzle key={seed} seed={seed} isToday={seed === today} />;
+}
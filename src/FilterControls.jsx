@@ -0,0 +1,151 @@
+import React, { useEffect, useState } from "react";
+import { COLORS, RARITIES, DEFAULT_FILTERS, changedFilters } from './filters.js';
+
+function yearsAgo(years) {
+  const d = new Date();
+  d.setUTCFullYear(d.getUTCFullYear() - years);
+  return d.toISOString().slice(0, 10);
+}
+
+// One-click setups our playgroup asks for most
+const PRESETS = [
+  { label: 'Mono-black', filters: { colorMode: 'exact', colors: ['B'] } },
+  { label: '5-color', filters: { colorMode: 'exact', colors: [...COLORS] } },
+  { label: 'MV 3 or less', filters: { cmcMin: null, cmcMax: 3 } },
+  { label: 'Last two years', filters: () => ({ releasedAfter: yearsAgo(2), releasedBefore: null }) },
+  { label: 'Creatures only', filters: { typeIncludes: 'Legendary Creature', typeExcludes: 'Planeswalker' } },
+];
+
+// Text field that only reports its value on blur or Enter, so typing doesn't
+// reshuffle the pool on every keystroke
+function CommitInput({ value, onCommit, ...props }) {
+  const [draft, setDraft] = useState(value);
+  useEffect(() => setDraft(value), [value]);
+  return (
+    <input
+      {...props}
+      value={draft}
+      onChange={e => setDraft(e.target.value)}
+      onBlur={() => draft !== value && onCommit(draft)}
+      onKeyDown={e => e.key === 'Enter' && e.currentTarget.blur()}
+    />
+  );
+}
+
+const inputClass = "bg-slate-800 border border-slate-600 rounded px-2 py-1 text-sm";
+
+export default function FilterControls({ filters, onChange }) {
+  const update = (patch) => onChange({ ...filters, ...patch });
+  const toggleIn = (list, value) => (list.includes(value) ? list.filter(v => v !== value) : [...list, value]);
+  const activeCount = Object.keys(changedFilters(filters)).filter(k => !['includePartner', 'includeUnreleased', 'includeIllegal'].includes(k)).length;
+
+  return (
+    <div className="flex flex-col items-center gap-2 w-full">
+      {/* Filter toggles row */}
+      <div className="flex flex-row gap-4 justify-center items-center w-full">
+        <label className="flex items-center gap-2 cursor-pointer">
+          <input type="checkbox" checked={filters.includePartner} onChange={e => update({ includePartner: e.target.checked })} />
+          <span className="text-sm">Include Partners/Backgrounds</span>
+        </label>
+        <label className="flex items-center gap-2 cursor-pointer">
+          <input type="checkbox" checked={filters.includeUnreleased} onChange={e => update({ includeUnreleased: e.target.checked })} />
+          <span className="text-sm">Include Unreleased</span>
+        </label>
+        <label className="flex items-center gap-2 cursor-pointer">
+          <input type="checkbox" checked={filters.includeIllegal} onChange={e => update({ includeIllegal: e.target.checked })} />
+          <span className="text-sm">Include Illegal</span>
+        </label>
+      </div>
+
+      <details className="w-full max-w-3xl bg-slate-900 rounded px-4 py-2">
+        <summary className="cursor-pointer text-sm text-slate-300">
+          More filters{activeCount > 0 ? ` (${activeCount} active)` : ''}
+        </summary>
+        <div className="flex flex-col gap-3 py-3 text-sm">
+          <div className="flex flex-wrap gap-2 items-center">
+            <span className="text-slate-400">Presets:</span>
+            {PRESETS.map(preset => (
+              <button
+                key={preset.label}
+                className="px-2 py-1 rounded bg-slate-700 hover:bg-slate-600 text-xs"
+                onClick={() => update(typeof preset.filters === 'function' ? preset.filters() : preset.filters)}
+              >
+                {preset.label}
+              </button>
+            ))}
+            <button
+              className="px-2 py-1 rounded bg-slate-700 hover:bg-slate-600 text-xs"
+              onClick={() => onChange({ ...DEFAULT_FILTERS, includePartner: filters.includePartner, includeUnreleased: filters.includeUnreleased, includeIllegal: filters.includeIllegal })}
+            >
+              Clear
+            </button>
+          </div>
+
+          <div className="flex flex-wrap gap-2 items-center">
+            <span className="text-slate-400 w-24">Colors:</span>
+            <select className={inputClass} value={filters.colorMode} onChange={e => update({ colorMode: e.target.value })}>
+              <option value="any">Any</option>
+              <option value="exact">Exactly</option>
+              <option value="subset">Within</option>
+              <option value="includes">Including</option>
+            </select>
+            {COLORS.map(c => (
+              <button
+                key={c}
+                className={`p-1 rounded ${filters.colors.includes(c) ? 'bg-indigo-600' : 'bg-slate-800 opacity-50'}`}
+                onClick={() => update({ colors: toggleIn(filters.colors, c), colorMode: filters.colorMode === 'any' ? 'includes' : filters.colorMode })}
+                aria-pressed={filters.colors.includes(c)}
+              >
+                <img src={`https://svgs.scryfall.io/card-symbols/${c}.svg`} alt={c} style={{height: '1.2em'}} />
+              </button>
+            ))}
+            {filters.colorMode !== 'any' && filters.colorMode !== 'includes' && filters.colors.length === 0 && (
+              <span className="text-xs text-slate-400">(colorless)</span>
+            )}
+          </div>
+
+          <div className="flex flex-wrap gap-2 items-center">
+            <span className="text-slate-400 w-24">Mana value:</span>
+            <CommitInput type="number" min="0" className={`${inputClass} w-16`} placeholder="min"
+              value={filters.cmcMin ?? ''} onCommit={v => update({ cmcMin: v === '' ? null : Number(v) })} />
+            <span>to</span>
+            <CommitInput type="number" min="0" className={`${inputClass} w-16`} placeholder="max"
+              value={filters.cmcMax ?? ''} onCommit={v => update({ cmcMax: v === '' ? null : Number(v) })} />
+          </div>
+
+          <div className="flex flex-wrap gap-2 items-center">
+            <span className="text-slate-400 w-24">Released:</span>
+            <input type="date" className={inputClass} value={filters.releasedAfter ?? ''} onChange={e => update({ releasedAfter: e.target.value || null })} />
+            <span>to</span>
+            <input type="date" className={inputClass} value={filters.releasedBefore ?? ''} onChange={e => update({ releasedBefore: e.target.value || null })} />
+          </div>
+
+          <div className="flex flex-wrap gap-2 items-center">
+            <span className="text-slate-400 w-24">Set codes:</span>
+            <CommitInput className={inputClass} placeholder="e.g. mh3, cmm"
+              value={filters.sets.join(', ')}
+              onCommit={v => update({ sets: v.split(',').map(s => s.trim().toLowerCase()).filter(Boolean) })} />
+          </div>
+
+          <div className="flex flex-wrap gap-2 items-center">
+            <span className="text-slate-400 w-24">Type line:</span>
+            <CommitInput className={inputClass} placeholder="contains, e.g. Dragon"
+              value={filters.typeIncludes} onCommit={v => update({ typeIncludes: v.trim() })} />
+            <CommitInput className={inputClass} placeholder="excludes, e.g. Planeswalker"
+              value={filters.typeExcludes} onCommit={v => update({ typeExcludes: v.trim() })} />
+          </div>
+
+          <div className="flex flex-wrap gap-3 items-center">
+            <span className="text-slate-400 w-24">Rarity:</span>
+            {RARITIES.map(r => (
+              <label key={r} className="flex items-center gap-1 cursor-pointer capitalize">
+                <input type="checkbox" checked={filters.rarities.includes(r)} onChange={() => update({ rarities: toggleIn(filters.rarities, r) })} />
+                {r}
+              </label>
+            ))}
+          </div>
+        </div>
+      </details>
+    </div>
+  );
+}
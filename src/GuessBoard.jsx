@@ -0,0 +1,18 @@
+import React from "react";
+import CommanderPanel from './CommanderPanel.jsx';
+
+// The classic two-card board, shared by classic and pass-and-play. Cards glow
+// green or red once `result` ('left' | 'right' | 'tie') is known, and
+// renderReveal(meta) adds content under each revealed card.
+export default function GuessBoard({ left, right, result, loading, onGuess, renderReveal }) {
+  const glowFor = (side) => (result && result !== 'tie' ? (result === side ? 'green' : 'red') : null);
+  return (
+    <div className="w-full max-w-6xl grid grid-cols-1 md:grid-cols-2 gap-6">
+      {[['left', left], ['right', right]].map(([side, meta]) => (
+        <CommanderPanel key={side} meta={meta} revealed={!!result} glow={glowFor(side)} loading={loading} onSelect={() => onGuess(side)}>
+          {result && meta && !meta.error && renderReveal?.(meta)}
+        </CommanderPanel>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,151 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { Link } from "react-router-dom";
+import CommanderPanel from './CommanderPanel.jsx';
+import { getFilteredCommanders } from './filters.js';
+import { drawRankedCommander } from './pairQueue.js';
+import { useProfile, filterKey, recordBestStreak } from './profile.js';
+
+// Higher or Lower: the card on the left has a known rank. Guess whether the
+// challenger on the right ranks higher (a smaller number) or lower. A correct
+// guess moves the challenger to the left and draws a new one.
+export default function HigherLower() {
+  const [champion, setChampion] = useState(null);
+  const [challenger, setChallenger] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [result, setResult] = useState(null); // 'correct' | 'wrong' | 'tie' | null
+  const [streak, setStreak] = useState(0);
+  const [profile, updateProfile] = useProfile();
+  const scoreKey = filterKey({ mode: 'higher-lower' });
+  const highestStreak = profile.classic.bestStreaks[scoreKey] || 0;
+  const pool = useMemo(() => getFilteredCommanders(), []);
+  // The next challenger is drawn while the player is still thinking
+  const nextChallengerRef = useRef(null);
+  // Bumped by every new deal; a draw that finishes after a newer one started is dropped
+  const generationRef = useRef(0);
+
+  const takeChallenger = (exclude) => {
+    const pending = nextChallengerRef.current;
+    nextChallengerRef.current = null;
+    return pending || drawRankedCommander(pool, { exclude });
+  };
+
+  const showChallenger = useCallback((champ, next) => {
+    setChallenger(next);
+    setLoading(false);
+    if (!next.error) nextChallengerRef.current = drawRankedCommander(pool, { exclude: [champ.name, next.name] });
+  }, [pool]);
+
+  const startGame = useCallback(async () => {
+    const generation = ++generationRef.current;
+    setLoading(true);
+    setResult(null);
+    setStreak(0);
+    setChampion(null);
+    setChallenger(null);
+    nextChallengerRef.current = null;
+    const champ = await drawRankedCommander(pool);
+    if (generation !== generationRef.current) return;
+    setChampion(champ);
+    if (champ.error) {
+      setLoading(false);
+      return;
+    }
+    const first = await drawRankedCommander(pool, { exclude: [champ.name] });
+    if (generation !== generationRef.current) return;
+    showChallenger(champ, first);
+  }, [pool, showChallenger]);
+
+  // Deal the first round on mount. Under StrictMode's second mount the new
+  // deal supersedes the first one's draws.
+  useEffect(() => {
+    startGame();
+  }, [startGame]);
+
+  const makeGuess = (direction) => {
+    if (!champion || !challenger || result) return;
+    let outcome;
+    if (challenger.rank === champion.rank) outcome = 'tie';
+    // Lower rank number is better, i.e. "higher"
+    else if ((challenger.rank < champion.rank) === (direction === 'higher')) outcome = 'correct';
+    else outcome = 'wrong';
+
+    if (outcome === 'correct') {
+      const newStreak = streak + 1;
+      setStreak(newStreak);
+      updateProfile(p => recordBestStreak(p, scoreKey, newStreak));
+    }
+    setResult(outcome);
+  };
+
+  // Winner stays on: the challenger becomes the card to beat
+  const next = async () => {
+    const generation = ++generationRef.current;
+    const champ = challenger;
+    setChampion(champ);
+    setChallenger(null);
+    setResult(null);
+    setLoading(true);
+    const drawn = await takeChallenger([champ.name]);
+    if (generation !== generationRef.current) return;
+    showChallenger(champ, drawn);
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-slate-900 to-slate-800 text-white p-6 flex flex-col items-center">
+      <h1 className="text-3xl font-bold mb-4">Higher or Lower</h1>
+      <p className="mb-4 text-slate-300 max-w-xl text-center">
+        Does the new commander rank higher or lower on <a href="https://edhrec.com" target="_blank" rel="noopener noreferrer" className="underline">EDHREC</a> than the one you already know? Get it right and it stays on the board for the next round. <Link to="/" className="underline text-indigo-300">Back to classic</Link>
+      </p>
+
+      <div className="mb-4 flex items-center gap-4">
+        <div className="bg-slate-700 px-4 py-2 rounded flex items-center gap-3">
+          <span>Score: <span className="font-semibold">{streak}</span></span>
+          <span className="text-slate-400">| Highest: <span className="font-semibold">{highestStreak}</span></span>
+        </div>
+        <button className="px-3 py-2 rounded bg-indigo-600 hover:bg-indigo-500" onClick={startGame}>New Game</button>
+      </div>
+
+      <div className="w-full max-w-6xl grid grid-cols-1 md:grid-cols-2 gap-6">
+        <CommanderPanel meta={champion} revealed={!!champion && !champion.error} loading={loading && !champion} />
+        <CommanderPanel
+          meta={challenger}
+          revealed={!!result}
+          glow={result === 'correct' ? 'green' : result === 'wrong' ? 'red' : null}
+          loading={loading}
+        >
+          {!result && challenger && !challenger.error && (
+            <div className="w-full flex justify-center gap-4 mt-4">
+              <button className="px-5 py-3 rounded bg-green-700 hover:bg-green-600 text-xl font-semibold" onClick={() => makeGuess('higher')}>▲ Higher</button>
+              <button className="px-5 py-3 rounded bg-red-700 hover:bg-red-600 text-xl font-semibold" onClick={() => makeGuess('lower')}>▼ Lower</button>
+            </div>
+          )}
+        </CommanderPanel>
+      </div>
+
+      {result && (
+        <>
+          <div className="w-full flex justify-center items-center mt-8">
+            {result === 'tie' ? (
+              <div className="text-5xl font-bold text-white drop-shadow-lg">Tie</div>
+            ) : (
+              <div className={`text-5xl font-bold drop-shadow-lg ${result === 'correct' ? 'text-green-500' : 'text-red-500'}`}>{result === 'correct' ? 'Correct' : 'Wrong'}</div>
+            )}
+          </div>
+          <div className="w-full flex justify-center items-center mt-6">
+            {result === 'wrong' ? (
+              <div className="flex flex-col items-center">
+                <button className="px-5 py-3 rounded bg-red-600 hover:bg-red-500 text-xl font-semibold mb-2" onClick={startGame}>New Game</button>
+                <div className="text-lg text-slate-300">Final Score: <span className="font-bold">{streak}</span></div>
+                {streak === highestStreak && highestStreak > 0 && (
+                  <div className="text-green-500 text-lg font-bold mt-1">New Record</div>
+                )}
+              </div>
+            ) : (
+              <button className="px-5 py-3 rounded bg-green-600 hover:bg-green-500 text-xl font-semibold" onClick={next}>Next</button>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
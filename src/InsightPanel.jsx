@@ -0,0 +1,79 @@
+import React, { useEffect, useState } from "react";
+import Sparkline from './Sparkline.jsx';
+import { loadCommanderInsight } from './commanderInsight.js';
+
+const percent = (fraction) => `${Math.round(fraction * 100)}%`;
+
+function RankMovement({ change }) {
+  if (!change) return null;
+  const since = change.since ? ` since ${change.since.slice(0, 10)}` : '';
+  if (change.delta === 0) return <div>Rank unchanged{since}</div>;
+  const up = change.delta > 0;
+  return (
+    <div>
+      <span className={up ? 'text-green-400' : 'text-red-400'}>{up ? '▲' : '▼'} {Math.abs(change.delta)}</span>
+      {' '}places{since} (was #{change.from})
+    </div>
+  );
+}
+
+// Deck count, rank movement and synergy cards from the EDHREC page
+function PageDetails({ insight }) {
+  return (
+    <>
+      {insight.deckCount !== null && (
+        <div><span className="font-semibold text-white">{insight.deckCount.toLocaleString()}</span> decks on EDHREC</div>
+      )}
+      <RankMovement change={insight.change} />
+      {insight.synergyCards.length > 0 && (
+        <div>
+          <div className="text-slate-400 mt-1">High synergy cards:</div>
+          <ul className="list-none">
+            {insight.synergyCards.map(card => (
+              <li key={card.name}>
+                {card.slug ? (
+                  <a href={`https://edhrec.com/cards/${card.slug}`} target="_blank" rel="noopener noreferrer" className="underline text-indigo-300">{card.name}</a>
+                ) : card.name}
+                <span className="text-slate-400"> +{percent(card.synergy)} synergy{card.inclusion !== null ? `, in ${percent(card.inclusion)} of decks` : ''}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </>
+  );
+}
+
+// Shown under a revealed classic card: what EDHREC knows about the commander.
+// Render with key={meta.slug} so a new card starts from the loading state.
+export default function InsightPanel({ meta }) {
+  const [insight, setInsight] = useState(undefined); // undefined while loading, null if unavailable
+  useEffect(() => {
+    let cancelled = false;
+    loadCommanderInsight(meta).then(result => {
+      if (!cancelled) setInsight(result);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [meta]);
+
+  if (insight === undefined) {
+    return <div className="mt-3 text-xs text-slate-500">Loading EDHREC stats...</div>;
+  }
+  // EDHREC's own history when the page has one, otherwise the points baked into commanders.json
+  const history = insight?.rankHistory?.length > 1 ? insight.rankHistory : meta.scryfall?.rank_history;
+  const hasHistory = Array.isArray(history) && history.length > 1;
+  if (!insight && !hasHistory) return null;
+  return (
+    <div className="mt-3 w-full bg-slate-800 rounded p-3 text-xs text-slate-300 flex flex-col gap-1">
+      {hasHistory && (
+        <div className="flex items-center gap-2">
+          <Sparkline history={history} />
+          <span className="text-slate-400">{history[0].date} to {history[history.length - 1].date}</span>
+        </div>
+      )}
+      {insight && <PageDetails insight={insight} />}
+    </div>
+  );
+}
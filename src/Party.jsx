@@ -0,0 +1,252 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Link } from "react-router-dom";
+import GuessBoard from './GuessBoard.jsx';
+import { getFilteredCommanders } from './filters.js';
+import { createPairQueue, pairWinner } from './pairQueue.js';
+import { randomSeedCode } from './random.js';
+import {
+  createParty, currentPlayer, scoreGuess, advance, standings,
+  MIN_PLAYERS, MAX_PLAYERS, ROUND_OPTIONS, PLAY_STYLES, FORMATS,
+} from './party.js';
+import { useGameKeys } from './useGameKeys.js';
+
+const inputClass = "bg-slate-800 border border-slate-600 rounded px-2 py-1 text-sm";
+
+function OptionGroup({ label, options, value, onChange }) {
+  return (
+    <fieldset className="flex flex-col gap-1">
+      <legend className="text-slate-400 text-sm mb-1">{label}</legend>
+      {Object.entries(options).map(([id, option]) => (
+        <label key={id} className="flex items-start gap-2 text-sm">
+          <input type="radio" checked={value === id} onChange={() => onChange(id)} className="mt-1" />
+          <span><span className="font-semibold">{option.label}</span> <span className="text-slate-400">{option.description}</span></span>
+        </label>
+      ))}
+    </fieldset>
+  );
+}
+
+// Player names and the game format. `initial` refills the form for a rematch.
+function Setup({ initial, onStart }) {
+  const [names, setNames] = useState(initial?.names || ['', '']);
+  const [style, setStyle] = useState(initial?.style || 'turns');
+  const [format, setFormat] = useState(initial?.format || 'elimination');
+  const [rounds, setRounds] = useState(initial?.rounds || ROUND_OPTIONS[1]);
+
+  const setName = (index, name) => setNames(names.map((old, i) => (i === index ? name : old)));
+  const start = (e) => {
+    e.preventDefault();
+    onStart({ names: names.map((name, i) => name.trim() || `Player ${i + 1}`), style, format, rounds });
+  };
+
+  return (
+    <form className="w-full max-w-xl bg-slate-900 rounded p-4 flex flex-col gap-4" onSubmit={start}>
+      <div className="flex flex-col gap-2">
+        <span className="text-slate-400 text-sm">Players ({MIN_PLAYERS}–{MAX_PLAYERS})</span>
+        {names.map((name, i) => (
+          <div key={i} className="flex gap-2">
+            <input className={`${inputClass} flex-1`} value={name} onChange={e => setName(i, e.target.value)} placeholder={`Player ${i + 1}`} aria-label={`Player ${i + 1} name`} />
+            {names.length > MIN_PLAYERS && (
+              <button type="button" className="px-2 rounded bg-slate-700 hover:bg-slate-600 text-sm" onClick={() => setNames(names.filter((_, j) => j !== i))} aria-label={`Remove player ${i + 1}`}>✕</button>
+            )}
+          </div>
+        ))}
+        {names.length < MAX_PLAYERS && (
+          <button type="button" className="self-start px-3 py-1 rounded bg-slate-700 hover:bg-slate-600 text-sm" onClick={() => setNames([...names, ''])}>Add player</button>
+        )}
+      </div>
+      <OptionGroup label="Play style" options={PLAY_STYLES} value={style} onChange={setStyle} />
+      <OptionGroup label="Format" options={FORMATS} value={format} onChange={setFormat} />
+      {format === 'rounds' && (
+        <label className="flex items-center gap-2 text-sm">
+          <span className="text-slate-400">Pairs per player</span>
+          <select className={inputClass} value={rounds} onChange={e => setRounds(Number(e.target.value))}>
+            {ROUND_OPTIONS.map(n => <option key={n} value={n}>{n}</option>)}
+          </select>
+        </label>
+      )}
+      <button type="submit" className="px-4 py-2 rounded bg-indigo-600 hover:bg-indigo-500 font-semibold">Start</button>
+    </form>
+  );
+}
+
+function Scoreboard({ party }) {
+  return (
+    <ul className="list-none flex flex-wrap justify-center gap-2 mb-4 text-sm">
+      {party.players.map((player, i) => (
+        <li
+          key={i}
+          className={`px-3 py-1 rounded ${i === party.current && !party.finished ? 'bg-indigo-600' : 'bg-slate-700'} ${player.out ? 'line-through text-slate-400' : ''}`}
+          aria-current={i === party.current && !party.finished ? 'true' : undefined}
+        >
+          {player.name}: <span className="font-semibold">{player.score}</span>
+          {party.format === 'rounds' && <span className="text-slate-300"> ({player.guesses}/{party.rounds})</span>}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function Standings({ party, onRematch, onSetup }) {
+  const ranked = standings(party);
+  return (
+    <div className="w-full max-w-md bg-slate-900 rounded p-4 flex flex-col items-center gap-3">
+      <h2 className="text-2xl font-bold">Final standings</h2>
+      <ol className="w-full list-none flex flex-col gap-1">
+        {ranked.map((player, i) => (
+          <li key={i} className={`flex justify-between px-3 py-2 rounded ${player.place === 1 ? 'bg-green-700' : 'bg-slate-800'}`}>
+            <span><span className="font-bold mr-2">{player.place}.</span>{player.name}</span>
+            <span>{player.score} correct{player.out ? ' | out' : ''}</span>
+          </li>
+        ))}
+      </ol>
+      <div className="flex gap-3">
+        <button className="px-4 py-2 rounded bg-indigo-600 hover:bg-indigo-500" onClick={onRematch}>Rematch</button>
+        <button className="px-4 py-2 rounded bg-slate-700 hover:bg-slate-600" onClick={onSetup}>Change players</button>
+      </div>
+      <div className="text-xs text-slate-500">Pairs seed: <span className="font-mono">{party.seed}</span></div>
+    </div>
+  );
+}
+
+// Pass-and-play for game night: 2-8 players share one screen and the classic
+// two-card guess. The pair sequence is always seeded, so a race deals every
+// player the same pairs.
+export default function Party() {
+  const [party, setParty] = useState(null);
+  const [setup, setSetup] = useState(null); // last settings, for a rematch
+  // Shown between players so the next one can take the laptop before the cards appear
+  const [handoff, setHandoff] = useState(false);
+  const [leftMeta, setLeftMeta] = useState(null);
+  const [rightMeta, setRightMeta] = useState(null);
+  const [loadingPair, setLoadingPair] = useState(false);
+  const [result, setResult] = useState(null); // 'left' | 'right' | 'tie' | null
+  const [userGuess, setUserGuess] = useState(null);
+  const pool = useMemo(() => getFilteredCommanders(), []);
+
+  const queueRef = useRef(null);
+  if (!queueRef.current) queueRef.current = createPairQueue();
+  useEffect(() => {
+    const queue = queueRef.current;
+    return () => queue.dispose();
+  }, []);
+
+  const showPair = (pair) => {
+    setLeftMeta(pair.error ? { error: pair.error } : pair.left);
+    setRightMeta(pair.error ? { error: pair.error } : pair.right);
+    setLoadingPair(false);
+  };
+
+  const loadNewPair = () => {
+    setResult(null);
+    setUserGuess(null);
+    const ready = queueRef.current.takeReady();
+    if (ready) {
+      showPair(ready);
+      return;
+    }
+    setLeftMeta(null);
+    setRightMeta(null);
+    setLoadingPair(true);
+    queueRef.current.take().then(showPair);
+  };
+
+  const startParty = (settings) => {
+    const seed = randomSeedCode();
+    setSetup(settings);
+    setParty(createParty({ ...settings, seed }));
+    queueRef.current.setPool(pool, { seed });
+    setHandoff(true);
+    loadNewPair();
+  };
+
+  const player = party && !party.finished ? currentPlayer(party) : null;
+  const canGuess = !!player && !handoff && !result && !loadingPair && !!leftMeta && !!rightMeta && !leftMeta.error;
+
+  const makeGuess = (side) => {
+    if (!canGuess) return;
+    const winner = pairWinner(leftMeta, rightMeta);
+    setUserGuess(side);
+    setResult(winner);
+    setParty(scoreGuess(party, winner === 'tie' || winner === side));
+  };
+
+  const next = () => {
+    const nextParty = advance(party);
+    setParty(nextParty);
+    if (nextParty.finished) return;
+    if (nextParty.current !== party.current) {
+      // A race starts every player from the first seeded pair
+      if (party.style === 'race') queueRef.current.setPool(pool, { seed: party.seed });
+      setHandoff(true);
+    }
+    loadNewPair();
+  };
+
+  useGameKeys({
+    ArrowLeft: () => makeGuess('left'),
+    1: () => makeGuess('left'),
+    ArrowRight: () => makeGuess('right'),
+    2: () => makeGuess('right'),
+    Enter: () => {
+      if (handoff) setHandoff(false);
+      else if (result && player) next();
+    },
+  });
+
+  const won = result === 'tie' || result === userGuess;
+  let announcement = '';
+  if (party?.finished) {
+    announcement = `Game over. ${standings(party).map(p => `${p.place}. ${p.name}, ${p.score}`).join('; ')}.`;
+  } else if (handoff && player) {
+    announcement = `Pass to ${player.name}. Press Enter when ready.`;
+  } else if (leftMeta?.error) {
+    announcement = leftMeta.error;
+  } else if (result && player) {
+    announcement = `${won ? 'Correct!' : 'Wrong.'} ${leftMeta.name} is rank ${leftMeta.rank}, ${rightMeta.name} is rank ${rightMeta.rank}. ${player.name} has ${player.score}. Press Enter to continue.`;
+  } else if (player && leftMeta && rightMeta) {
+    announcement = `${player.name}: ${leftMeta.name} or ${rightMeta.name}? Press 1 or 2.`;
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-slate-900 to-slate-800 text-white p-6 flex flex-col items-center">
+      <h1 className="text-3xl font-bold mb-4">Pass and Play</h1>
+      <p className="mb-4 text-slate-300 max-w-xl text-center">
+        Game night on one screen: take turns guessing which commander ranks better on EDHREC. <Link to="/" className="underline text-indigo-300">Back to classic</Link>
+      </p>
+
+      {!party && <Setup initial={setup} onStart={startParty} />}
+
+      {party && (
+        <>
+          <Scoreboard party={party} />
+          {party.finished ? (
+            <Standings party={party} onRematch={() => startParty(setup)} onSetup={() => setParty(null)} />
+          ) : handoff ? (
+            <div className="w-full max-w-md bg-slate-900 rounded p-6 flex flex-col items-center gap-4">
+              <div className="text-2xl">Pass to <span className="font-bold">{player.name}</span></div>
+              <button className="px-5 py-3 rounded bg-indigo-600 hover:bg-indigo-500 text-xl font-semibold" onClick={() => setHandoff(false)} autoFocus>I'm ready</button>
+            </div>
+          ) : (
+            <>
+              <div className="mb-4 text-xl"><span className="font-bold">{player.name}</span>, which ranks better?</div>
+              <GuessBoard left={leftMeta} right={rightMeta} result={result} loading={loadingPair} onGuess={makeGuess} />
+              {result && (
+                <div className="w-full flex flex-col items-center mt-8 gap-4">
+                  <div className={`text-5xl font-bold drop-shadow-lg ${result === 'tie' ? 'text-white' : won ? 'text-green-500' : 'text-red-500'}`}>
+                    {result === 'tie' ? 'Tie' : won ? 'Correct' : party.format === 'elimination' ? `${player.name} is out` : 'Wrong'}
+                  </div>
+                  <button className="px-5 py-3 rounded bg-indigo-600 hover:bg-indigo-500 text-xl font-semibold" onClick={next}>Next</button>
+                </div>
+              )}
+            </>
+          )}
+          {!party.finished && (
+            <button className="mt-8 text-sm text-slate-400 underline" onClick={() => setParty(null)}>Quit to setup</button>
+          )}
+        </>
+      )}
+      <div className="sr-only" aria-live="polite" aria-atomic="true">{announcement}</div>
+    </div>
+  );
+}
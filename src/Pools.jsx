@@ -0,0 +1,143 @@
+import React, { useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import {
+  resolvePool, parsePoolLine, decodePool, encodePool, poolSearch,
+  loadSavedPools, savePool, deleteSavedPool, MIN_POOL_SIZE,
+} from './customPool.js';
+import { DAILY_SIZE } from './dailyPicker.js';
+
+const buttonClass = "px-3 py-1 rounded bg-slate-700 hover:bg-slate-600 text-sm";
+
+// Play links for an encoded pool, shared by the checked list and saved pools.
+// A ranking round deals a full Daily hand, so smaller pools only get classic.
+function PlayLinks({ pool, size }) {
+  return (
+    <>
+      <Link to={`/${poolSearch(pool)}`} className="px-3 py-1 rounded bg-indigo-600 hover:bg-indigo-500 text-sm">Play classic</Link>
+      {size >= DAILY_SIZE && (
+        <Link to={`/pools/rank${poolSearch(pool)}`} className="px-3 py-1 rounded bg-indigo-600 hover:bg-indigo-500 text-sm">Rank {DAILY_SIZE}</Link>
+      )}
+    </>
+  );
+}
+
+function CheckResult({ checked, onSuggestion }) {
+  return (
+    <div className="w-full flex flex-col gap-2 text-sm">
+      <div className={checked.cards.length < MIN_POOL_SIZE ? 'text-red-300' : 'text-green-400'}>
+        {checked.cards.length} {checked.cards.length === 1 ? 'commander' : 'commanders'} found
+        {checked.cards.length < MIN_POOL_SIZE && ` (a pool needs at least ${MIN_POOL_SIZE})`}
+        {checked.cards.length >= MIN_POOL_SIZE && checked.cards.length < DAILY_SIZE && ` (ranking rounds need at least ${DAILY_SIZE})`}
+      </div>
+      {checked.corrected.length > 0 && (
+        <ul className="list-none text-slate-300">
+          {checked.corrected.map(({ input, name }) => (
+            <li key={input}>Read "{input}" as <span className="font-semibold">{name}</span></li>
+          ))}
+        </ul>
+      )}
+      {checked.unknown.length > 0 && (
+        <ul className="list-none text-red-300" role="alert">
+          {checked.unknown.map(({ input, suggestions }) => (
+            <li key={input} className="flex flex-wrap gap-2 items-center">
+              <span>No commander called "{input}".</span>
+              {suggestions.length > 0 && <span className="text-slate-400">Did you mean</span>}
+              {suggestions.map(suggestion => (
+                <button key={suggestion} className="px-2 py-0.5 rounded bg-slate-700 hover:bg-slate-600 text-xs text-white" onClick={() => onSuggestion(input, suggestion)}>
+                  {suggestion}
+                </button>
+              ))}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// Custom pools: paste a list of commanders, check it against commanders.json,
+// then play classic or a ranking round with only those cards.
+export default function Pools() {
+  const [searchParams] = useSearchParams();
+  // A shared ?pool= link opens here ready to edit
+  const [text, setText] = useState(() => decodePool(searchParams.get('pool')).cards.map(card => card.name).join('\n'));
+  const [checked, setChecked] = useState(null); // resolvePool() result for the text as last checked
+  const [name, setName] = useState('');
+  const [saved, setSaved] = useState(loadSavedPools);
+  const [copied, setCopied] = useState(null);
+
+  const editText = (next) => {
+    setText(next);
+    setChecked(null);
+  };
+
+  // Swap an unknown line for the suggestion the player picked
+  const applySuggestion = (input, suggestion) => {
+    const next = text.split(/\r?\n/).map(line => (parsePoolLine(line) === input ? suggestion : line)).join('\n');
+    setText(next);
+    setChecked(resolvePool(next));
+  };
+
+  const copyLink = (pool) => {
+    const url = `${window.location.origin}/${poolSearch(pool)}`;
+    navigator.clipboard?.writeText(url).then(() => setCopied(pool), () => {});
+  };
+
+  const playable = checked && checked.cards.length >= MIN_POOL_SIZE;
+  const encoded = playable ? encodePool(checked.cards) : '';
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-slate-900 to-slate-800 text-white p-6 flex flex-col items-center">
+      <h1 className="text-3xl font-bold mb-4 text-center">Custom Pools</h1>
+      <p className="mb-4 text-slate-300 max-w-xl text-center">
+        Play with only the commanders you choose. Paste one name per line, or a Moxfield or Archidekt export. Counts, set codes and tags are ignored. <Link to="/" className="underline text-indigo-300">Back to classic</Link>
+      </p>
+
+      <div className="w-full max-w-xl flex flex-col gap-3">
+        <textarea
+          className="w-full h-64 bg-slate-900 border border-slate-600 rounded p-2 font-mono text-sm"
+          value={text}
+          onChange={e => editText(e.target.value)}
+          placeholder={"Atraxa, Praetors' Voice\n1 Edgar Markov (CMM) 123\n1x The Ur-Dragon [Commander]"}
+          aria-label="Commander list"
+        />
+        <div className="flex flex-wrap gap-2 items-center">
+          <button className="px-3 py-1 rounded bg-indigo-600 hover:bg-indigo-500 text-sm" onClick={() => setChecked(resolvePool(text))}>Check list</button>
+          {playable && (
+            <>
+              <PlayLinks pool={encoded} size={checked.cards.length} />
+              <button className={buttonClass} onClick={() => copyLink(encoded)}>{copied === encoded ? 'Link copied!' : 'Copy link'}</button>
+            </>
+          )}
+        </div>
+        {checked && <CheckResult checked={checked} onSuggestion={applySuggestion} />}
+        {playable && (
+          <form className="flex gap-2 items-center" onSubmit={e => { e.preventDefault(); if (name.trim()) setSaved(savePool(name.trim(), checked.cards)); }}>
+            <input className="flex-1 bg-slate-900 border border-slate-600 rounded px-2 py-1 text-sm" value={name} onChange={e => setName(e.target.value)} placeholder="Pool name" aria-label="Pool name" />
+            <button type="submit" className={buttonClass} disabled={!name.trim()}>Save</button>
+          </form>
+        )}
+      </div>
+
+      {saved.length > 0 && (
+        <div className="w-full max-w-xl mt-8">
+          <h2 className="text-lg font-semibold mb-2">Saved pools</h2>
+          <ul className="list-none flex flex-col gap-2">
+            {saved.map(entry => (
+              <li key={entry.name} className="bg-slate-900 rounded p-2 flex flex-wrap gap-2 items-center">
+                <span className="flex-1 min-w-0">
+                  <span className="font-semibold">{entry.name}</span>
+                  <span className="text-slate-400 text-xs"> | {entry.size} commanders</span>
+                </span>
+                <PlayLinks pool={entry.pool} size={entry.size} />
+                <button className={buttonClass} onClick={() => { editText(decodePool(entry.pool).cards.map(card => card.name).join('\n')); setName(entry.name); }}>Edit</button>
+                <button className={buttonClass} onClick={() => copyLink(entry.pool)}>{copied === entry.pool ? 'Link copied!' : 'Copy link'}</button>
+                <button className={buttonClass} onClick={() => setSaved(deleteSavedPool(entry.name))}>Delete</button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,158 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { Link } from "react-router-dom";
+import CommanderPanel from './CommanderPanel.jsx';
+import Sparkline from './Sparkline.jsx';
+import { getFilteredCommanders } from './filters.js';
+import { drawRisingPair } from './rising.js';
+import { RISING_PERIOD_DAYS } from './rankHistory.js';
+import { useProfile, filterKey, recordBestStreak } from './profile.js';
+import { useGameKeys } from './useGameKeys.js';
+
+function Movement({ meta }) {
+  const up = meta.gain > 0;
+  return (
+    <div className="w-full flex flex-col items-center mt-3 gap-1">
+      <div className={`text-lg font-semibold ${meta.gain === 0 ? 'text-slate-300' : up ? 'text-green-400' : 'text-red-400'}`}>
+        {meta.gain === 0 ? 'No change' : `${up ? '▲' : '▼'} ${Math.abs(meta.gain)} places`}
+      </div>
+      <Sparkline history={meta.history} width={220} height={50} />
+    </div>
+  );
+}
+
+// Who's rising? Pick the commander that gained more EDHREC rank over the last
+// period. Same two-card layout as classic; a wrong guess ends the run.
+export default function Rising() {
+  const [pair, setPair] = useState(null); // { left, right } or { error }
+  const [loading, setLoading] = useState(true);
+  const [result, setResult] = useState(null); // 'left' | 'right' | 'tie' | null
+  const [userGuess, setUserGuess] = useState(null);
+  const [streak, setStreak] = useState(0);
+  const [profile, updateProfile] = useProfile();
+  const scoreKey = filterKey({ mode: 'rising' });
+  const highestStreak = profile.classic.bestStreaks[scoreKey] || 0;
+  const pool = useMemo(() => getFilteredCommanders(), []);
+  // The next pair is drawn while the player is still thinking
+  const nextPairRef = useRef(null);
+  // Bumped on every deal so a slower, superseded draw can't overwrite the board
+  const generationRef = useRef(0);
+
+  const dealPair = useCallback(async () => {
+    const generation = ++generationRef.current;
+    setLoading(true);
+    setResult(null);
+    setUserGuess(null);
+    setPair(null);
+    const pending = nextPairRef.current || drawRisingPair(pool);
+    nextPairRef.current = null;
+    const next = await pending;
+    if (generation !== generationRef.current) return;
+    setPair(next);
+    setLoading(false);
+    if (!next.error) nextPairRef.current = drawRisingPair(pool);
+  }, [pool]);
+
+  const startGame = () => {
+    setStreak(0);
+    dealPair();
+  };
+
+  // Deal the first round on mount. Under StrictMode's second mount the new
+  // deal supersedes the first one's draw.
+  useEffect(() => {
+    dealPair();
+  }, [dealPair]);
+
+  const left = pair && !pair.error ? pair.left : null;
+  const right = pair && !pair.error ? pair.right : null;
+
+  const makeGuess = (side) => {
+    if (!left || !right || result) return;
+    let winner;
+    if (left.gain === right.gain) winner = 'tie';
+    else winner = left.gain > right.gain ? 'left' : 'right';
+    if (winner === side) {
+      const newStreak = streak + 1;
+      setStreak(newStreak);
+      updateProfile(p => recordBestStreak(p, scoreKey, newStreak));
+    }
+    setUserGuess(side);
+    setResult(winner);
+  };
+
+  const won = result === 'tie' || result === userGuess;
+  useGameKeys({
+    ArrowLeft: () => makeGuess('left'),
+    1: () => makeGuess('left'),
+    ArrowRight: () => makeGuess('right'),
+    2: () => makeGuess('right'),
+    Enter: () => {
+      if (!result) return;
+      if (won) dealPair();
+      else startGame();
+    },
+  });
+
+  let announcement = '';
+  if (pair?.error) announcement = pair.error;
+  else if (result) {
+    const verdict = result === 'tie' ? 'Tie.' : won ? 'Correct!' : 'Wrong.';
+    announcement = `${verdict} ${left.name} moved ${left.gain} places, ${right.name} moved ${right.gain}. Press Enter to continue.`;
+  } else if (left && right) {
+    announcement = `Which climbed more: ${left.name} or ${right.name}? Press 1 or 2.`;
+  }
+
+  const glowFor = (side) => (result && result !== 'tie' ? (result === side ? 'green' : 'red') : null);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-slate-900 to-slate-800 text-white p-6 flex flex-col items-center">
+      <h1 className="text-3xl font-bold mb-4">Who's rising?</h1>
+      <p className="mb-4 text-slate-300 max-w-xl text-center">
+        Which commander climbed more places on <a href="https://edhrec.com" target="_blank" rel="noopener noreferrer" className="underline">EDHREC</a> over the last {RISING_PERIOD_DAYS} days? <Link to="/" className="underline text-indigo-300">Back to classic</Link>
+      </p>
+
+      <div className="mb-4 flex items-center gap-4">
+        <div className="bg-slate-700 px-4 py-2 rounded flex items-center gap-3">
+          <span>Score: <span className="font-semibold">{streak}</span></span>
+          <span className="text-slate-400">| Highest: <span className="font-semibold">{highestStreak}</span></span>
+        </div>
+        <button className="px-3 py-2 rounded bg-indigo-600 hover:bg-indigo-500" onClick={startGame}>New Game</button>
+      </div>
+
+      <div className="w-full max-w-6xl grid grid-cols-1 md:grid-cols-2 gap-6">
+        <CommanderPanel meta={left || pair} revealed={!!result} glow={glowFor('left')} loading={loading} onSelect={() => makeGuess('left')}>
+          {result && left && <Movement meta={left} />}
+        </CommanderPanel>
+        <CommanderPanel meta={right || pair} revealed={!!result} glow={glowFor('right')} loading={loading} onSelect={() => makeGuess('right')}>
+          {result && right && <Movement meta={right} />}
+        </CommanderPanel>
+      </div>
+      <div className="sr-only" aria-live="polite" aria-atomic="true">{announcement}</div>
+
+      {result && (
+        <>
+          <div className="w-full flex justify-center items-center mt-8">
+            {result === 'tie' ? (
+              <div className="text-5xl font-bold text-white drop-shadow-lg">Tie</div>
+            ) : (
+              <div className={`text-5xl font-bold drop-shadow-lg ${won ? 'text-green-500' : 'text-red-500'}`}>{won ? 'Correct' : 'Wrong'}</div>
+            )}
+          </div>
+          <div className="w-full flex justify-center items-center mt-6">
+            {won ? (
+              <button className="px-5 py-3 rounded bg-green-600 hover:bg-green-500 text-xl font-semibold" onClick={dealPair}>Next</button>
+            ) : (
+              <div className="flex flex-col items-center">
+                <button className="px-5 py-3 rounded bg-red-600 hover:bg-red-500 text-xl font-semibold mb-2" onClick={startGame}>New Game</button>
+                <div className="text-lg text-slate-300">Final Score: <span className="font-bold">{streak}</span></div>
+                {streak === highestStreak && highestStreak > 0 && (
+                  <div className="text-green-500 text-lg font-bold mt-1">New Record</div>
+                )}
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
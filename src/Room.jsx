@@ -0,0 +1,237 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import GuessBoard from './GuessBoard.jsx';
+import { commanders } from './commanderData.js';
+import { toCommanderMeta } from './pairQueue.js';
+import { normalizeRoomCode, randomRoomCode, ROUND_OPTIONS, CORRECT_POINTS, SPEED_POINTS } from './rooms.js';
+import { useRoom, roomServerUrl } from './useRoom.js';
+import { useGameKeys } from './useGameKeys.js';
+
+const NAME_KEY = 'edh-rankle:room-name';
+const inputClass = "bg-slate-800 border border-slate-600 rounded px-2 py-1";
+const pageClass = "min-h-screen bg-gradient-to-b from-slate-900 to-slate-800 text-white p-6 flex flex-col items-center";
+
+function storedName() {
+  try {
+    return localStorage.getItem(NAME_KEY) || '';
+  } catch {
+    return '';
+  }
+}
+
+// Pick or type a room code (/room)
+function RoomLobby() {
+  const navigate = useNavigate();
+  const [code, setCode] = useState('');
+  const valid = normalizeRoomCode(code);
+  return (
+    <div className="w-full max-w-md bg-slate-900 rounded p-4 flex flex-col gap-4">
+      <button className="px-4 py-2 rounded bg-indigo-600 hover:bg-indigo-500 font-semibold" onClick={() => navigate(`/room/${randomRoomCode()}`)}>Create a room</button>
+      <form className="flex gap-2" onSubmit={e => { e.preventDefault(); if (valid) navigate(`/room/${valid}`); }}>
+        <input className={`${inputClass} flex-1 font-mono uppercase`} value={code} onChange={e => setCode(e.target.value)} placeholder="Room code" aria-label="Room code" />
+        <button type="submit" className="px-4 py-1 rounded bg-slate-700 hover:bg-slate-600" disabled={!valid}>Join</button>
+      </form>
+    </div>
+  );
+}
+
+function NameForm({ onSubmit }) {
+  const [name, setName] = useState(storedName);
+  const submit = (e) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    try {
+      localStorage.setItem(NAME_KEY, trimmed);
+    } catch {
+      // Not remembered next time, that's all
+    }
+    onSubmit(trimmed);
+  };
+  return (
+    <form className="w-full max-w-md bg-slate-900 rounded p-4 flex gap-2" onSubmit={submit}>
+      <input className={`${inputClass} flex-1`} value={name} onChange={e => setName(e.target.value)} placeholder="Your name" aria-label="Your name" maxLength={24} autoFocus />
+      <button type="submit" className="px-4 py-1 rounded bg-indigo-600 hover:bg-indigo-500" disabled={!name.trim()}>Join</button>
+    </form>
+  );
+}
+
+function Scoreboard({ room, you, guessed }) {
+  const members = [...room.members].sort((a, b) => b.score - a.score);
+  return (
+    <ul className="list-none flex flex-wrap justify-center gap-2 mb-4 text-sm">
+      {members.map(member => (
+        <li key={member.id} className={`px-3 py-1 rounded ${member.id === you ? 'bg-indigo-600' : 'bg-slate-700'} ${member.connected ? '' : 'opacity-50'}`}>
+          {member.name}{member.id === room.host ? ' (host)' : ''}: <span className="font-semibold">{member.score}</span>
+          {room.state === 'playing' && guessed.includes(member.id) && <span className="ml-1 text-green-300" aria-label="has guessed">✓</span>}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function RoundTimer({ pair }) {
+  const deadline = pair.receivedAt + pair.roundMs;
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(timer);
+  }, []);
+  return <span className="font-mono">{Math.max(0, Math.ceil((deadline - now) / 1000))}s</span>;
+}
+
+// Helper: the full card for a { id, name } the server dealt, from our own commanders.json
+function metaFor(byId, info) {
+  const card = byId.get(info.id);
+  return card ? toCommanderMeta(card) : { name: info.name };
+}
+
+function RoomGame({ code, name }) {
+  const { status, you, room, pair, reveal, guessed, error, send } = useRoom(code, name);
+  const [myGuess, setMyGuess] = useState(null); // { round, side }
+  const [rounds, setRounds] = useState(ROUND_OPTIONS[0]);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const byId = useMemo(() => new Map(commanders.map(card => [card.id, card])), []);
+  // A restart sends the room back to the lobby and round numbers start over,
+  // so last game's guess mustn't count for the same round of the next one
+  const roomState = room?.state;
+  useEffect(() => {
+    if (roomState === 'lobby') setMyGuess(null);
+  }, [roomState]);
+
+  const revealed = reveal && pair && reveal.round === pair.round ? reveal : null;
+  const metas = useMemo(() => {
+    if (!pair) return null;
+    const left = metaFor(byId, pair.left);
+    const right = metaFor(byId, pair.right);
+    return revealed ? { left: { ...left, rank: revealed.ranks.left }, right: { ...right, rank: revealed.ranks.right } } : { left, right };
+  }, [byId, pair, revealed]);
+
+  const playing = room?.state === 'playing' && !!pair;
+  const guessedThisRound = myGuess && pair && myGuess.round === pair.round ? myGuess.side : null;
+  const makeGuess = (side) => {
+    if (!playing || revealed || guessedThisRound) return;
+    setMyGuess({ round: pair.round, side });
+    send({ type: 'guess', round: pair.round, side });
+  };
+  useGameKeys({
+    ArrowLeft: () => makeGuess('left'),
+    1: () => makeGuess('left'),
+    ArrowRight: () => makeGuess('right'),
+    2: () => makeGuess('right'),
+  });
+
+  const copyLink = () => {
+    navigator.clipboard?.writeText(window.location.href).then(() => setLinkCopied(true), () => {});
+  };
+
+  if (!room) {
+    return status === 'closed' ? (
+      <p className="text-red-300 max-w-xl text-center">
+        Couldn't reach the room server at <span className="font-mono">{roomServerUrl()}</span>. Start one with <span className="font-mono">npm run rooms</span>.
+      </p>
+    ) : (
+      <p className="text-slate-300">{error || 'Joining room...'}</p>
+    );
+  }
+
+  const isHost = room.host === you;
+  const mine = revealed?.guesses.find(guess => guess.id === you);
+  const nameOf = id => room.members.find(member => member.id === id)?.name ?? 'Someone';
+  const topScore = Math.max(...room.members.map(member => member.score));
+  const winners = room.members.filter(member => member.score === topScore).map(member => member.name);
+  let announcement = '';
+  if (revealed) {
+    announcement = `${metas.left.name} is rank ${revealed.ranks.left}, ${metas.right.name} is rank ${revealed.ranks.right}. ` +
+      (mine ? `${mine.correct ? 'Correct' : 'Wrong'}, ${mine.points} points.` : 'You did not guess.');
+  } else if (playing && metas) {
+    announcement = `Round ${pair.round} of ${room.rounds}: ${metas.left.name} or ${metas.right.name}? Press 1 or 2.`;
+  }
+
+  return (
+    <>
+      <div className="mb-2 flex items-center gap-3 text-sm">
+        <span>Room <span className="font-mono font-semibold text-lg">{room.code}</span></span>
+        <button className="px-3 py-1 rounded bg-slate-700 hover:bg-slate-600" onClick={copyLink}>{linkCopied ? 'Link copied!' : 'Copy invite link'}</button>
+      </div>
+      {status === 'closed' && <p className="mb-2 text-red-300">Disconnected from the room server.</p>}
+      {error && <p className="mb-2 text-red-300">{error}</p>}
+      <Scoreboard room={room} you={you} guessed={guessed} />
+
+      {room.state === 'lobby' && (
+        isHost ? (
+          <div className="flex items-center gap-3">
+            <label className="flex items-center gap-2 text-sm">
+              <span className="text-slate-400">Rounds</span>
+              <select className={inputClass} value={rounds} onChange={e => setRounds(Number(e.target.value))}>
+                {ROUND_OPTIONS.map(n => <option key={n} value={n}>{n}</option>)}
+              </select>
+            </label>
+            <button className="px-4 py-2 rounded bg-indigo-600 hover:bg-indigo-500 font-semibold" onClick={() => send({ type: 'start', rounds })}>Start</button>
+          </div>
+        ) : (
+          <p className="text-slate-300">Waiting for {nameOf(room.host)} to start the game.</p>
+        )
+      )}
+
+      {room.state !== 'lobby' && metas && (
+        <>
+          <div className="mb-4 text-lg">
+            Round {pair.round}/{room.rounds}
+            {!revealed && <> | <RoundTimer key={pair.round} pair={pair} /></>}
+          </div>
+          <GuessBoard left={metas.left} right={metas.right} result={revealed?.winner ?? null} loading={false} onGuess={makeGuess} />
+          {!revealed && guessedThisRound && (
+            <div className="mt-6 text-slate-300">You picked {metas[guessedThisRound].name}. Waiting for the others...</div>
+          )}
+          {revealed && (
+            <div className="mt-6 flex flex-col items-center gap-1">
+              <div className={`text-4xl font-bold ${mine?.correct ? 'text-green-500' : 'text-red-500'}`}>
+                {mine ? (mine.correct ? `+${mine.points}` : 'Wrong') : 'Too slow'}
+              </div>
+              <ul className="list-none text-sm text-slate-300">
+                {revealed.guesses.map(guess => (
+                  <li key={guess.id}>{nameOf(guess.id)}: {guess.correct ? `+${guess.points}` : 'wrong'} in {(guess.ms / 1000).toFixed(1)}s</li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </>
+      )}
+
+      {room.state === 'finished' && (
+        <div className="mt-6 flex flex-col items-center gap-2">
+          <div className="text-2xl font-bold">{winners.length > 1 ? `Tie: ${winners.join(', ')}` : `${winners[0]} wins!`}</div>
+          {isHost ? (
+            <button className="px-4 py-2 rounded bg-indigo-600 hover:bg-indigo-500" onClick={() => send({ type: 'restart' })}>Play again</button>
+          ) : (
+            <span className="text-slate-400 text-sm">The host can start another game.</span>
+          )}
+        </div>
+      )}
+      <div className="sr-only" aria-live="polite" aria-atomic="true">{announcement}</div>
+    </>
+  );
+}
+
+// Head-to-head rooms: everyone in a room guesses the same pairs at the same
+// time, and faster correct answers score more. Needs scripts/room-server.js.
+export default function Room() {
+  const { code } = useParams();
+  const [name, setName] = useState(null);
+  const roomCode = code ? normalizeRoomCode(code) : null;
+  let body;
+  if (!code) body = <RoomLobby />;
+  else if (!roomCode) body = <p className="text-red-300">"{code}" isn't a room code. <Link to="/room" className="underline text-indigo-300">Pick another</Link></p>;
+  else if (!name) body = <NameForm onSubmit={setName} />;
+  else body = <RoomGame key={roomCode} code={roomCode} name={name} />;
+  return (
+    <div className={pageClass}>
+      <h1 className="text-3xl font-bold mb-4">Head-to-head</h1>
+      <p className="mb-4 text-slate-300 max-w-xl text-center">
+        Race your friends on the same pairs: a correct guess scores {CORRECT_POINTS}, plus up to {SPEED_POINTS} more for speed. <Link to="/" className="underline text-indigo-300">Back to classic</Link>
+      </p>
+      {body}
+    </div>
+  );
+}
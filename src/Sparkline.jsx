@@ -0,0 +1,31 @@
+import React from "react";
+
+const PAD = 3;
+
+// Tiny rank-over-time chart. Rank #1 is at the top, so a climbing commander trends up.
+export default function Sparkline({ history, width = 160, height = 40 }) {
+  if (!Array.isArray(history) || history.length < 2) return null;
+  const ranks = history.map(point => point.rank);
+  const best = Math.min(...ranks);
+  const span = Math.max(...ranks) - best || 1;
+  const points = history.map((point, i) => [
+    PAD + (i * (width - 2 * PAD)) / (history.length - 1),
+    PAD + ((point.rank - best) / span) * (height - 2 * PAD),
+  ]);
+  const first = ranks[0];
+  const last = ranks[ranks.length - 1];
+  const color = last < first ? '#4ade80' : last > first ? '#f87171' : '#94a3b8';
+  const [endX, endY] = points[points.length - 1];
+  return (
+    <svg
+      width={width}
+      height={height}
+      viewBox={`0 0 ${width} ${height}`}
+      role="img"
+      aria-label={`Rank went from #${first} on ${history[0].date} to #${last} on ${history[history.length - 1].date}`}
+    >
+      <polyline fill="none" stroke={color} strokeWidth="2" strokeLinejoin="round" points={points.map(p => p.join(',')).join(' ')} />
+      <circle cx={endX} cy={endY} r="2.5" fill={color} />
+    </svg>
+  );
+}
@@ -0,0 +1,30 @@
+// Blitz: as many classic guesses as fit in a minute. Correct answers score
+// more the faster they come; a wrong one costs clock time instead of ending
+// the run. The clock only runs while a pair is on screen.
+
+export const BLITZ_MS = 60000;
+export const WRONG_PENALTY_MS = 5000;
+export const BASE_POINTS = 50;
+// Extra points for an instant answer, falling to zero after SPEED_WINDOW_MS
+export const SPEED_POINTS = 50;
+export const SPEED_WINDOW_MS = 5000;
+export const LEADERBOARD_SIZE = 10;
+
+export function blitzPoints(correct, ms) {
+  if (!correct) return 0;
+  return BASE_POINTS + Math.round(SPEED_POINTS * Math.max(0, 1 - ms / SPEED_WINDOW_MS));
+}
+
+// Results for a finished run; `guesses` are [{ correct, ms, points }]
+export function summarizeBlitz(guesses) {
+  const correct = guesses.filter(guess => guess.correct).length;
+  // Per minute of thinking time, so a run cut short by penalties isn't flattered
+  const thinkingMs = guesses.reduce((sum, guess) => sum + guess.ms, 0);
+  return {
+    score: guesses.reduce((sum, guess) => sum + guess.points, 0),
+    guesses: guesses.length,
+    correct,
+    accuracy: guesses.length ? correct / guesses.length : 0,
+    perMinute: thinkingMs ? guesses.length / (thinkingMs / 60000) : 0,
+  };
+}
@@ -0,0 +1,57 @@
+// Card model shared by every mode: resolves a commanders.json (or Scryfall)
+// card into its faces, so transform/modal DFCs, split, adventure and flip
+// cards render like any other commander.
+//
+// Double-faced cards keep their images on each face; split, adventure and flip
+// cards have one image for the whole card but separate text per face.
+import { slugify } from './slug.js';
+
+// Helper: best backdrop and card image from an image_uris object
+function pickImages(imageUris) {
+  if (!imageUris) return { image: null, art: null };
+  return {
+    image: imageUris.large || imageUris.png || null,
+    art: imageUris.art_crop || imageUris.large || null,
+  };
+}
+
+function toFace(source, images) {
+  return {
+    name: source.name,
+    mana_cost: source.mana_cost || '',
+    type_line: source.type_line || '',
+    oracle_text: source.oracle_text || '',
+    power: source.power,
+    toughness: source.toughness,
+    ...images,
+  };
+}
+
+// Every face of the card, front first. Faces without their own image use the card's.
+export function getFaces(card) {
+  const shared = pickImages(card.image_uris);
+  if (!Array.isArray(card.card_faces) || card.card_faces.length === 0) return [toFace(card, shared)];
+  return card.card_faces.map(face => {
+    const own = pickImages(face.image_uris);
+    return toFace(face, own.image ? own : shared);
+  });
+}
+
+// Helper: front face image for places that only show one picture
+export function cardImage(card) {
+  return getFaces(card)[0].image;
+}
+
+// EDHREC names multi-face commanders after their front face
+export function frontName(card) {
+  return Array.isArray(card.card_faces) && card.card_faces[0]?.name ? card.card_faces[0].name : card.name;
+}
+
+export function cardSlug(card) {
+  return card.edhrec_slug || slugify(frontName(card));
+}
+
+// Whether the faces have different pictures, i.e. there is a back to flip to
+export function hasBackFace(faces) {
+  return faces.length > 1 && faces.some(face => face.image && face.image !== faces[0].image);
+}
@@ -0,0 +1,23 @@
+import commanderData from './commanders.json';
+import { buildPairEntries } from './pairings.js';
+
+// commanders.json is generated by `npm run build:data` (scripts/build-commanders.js).
+// Older hand-made files were a bare array of Scryfall cards, so accept both shapes.
+export const commanders = Array.isArray(commanderData) ? commanderData : (commanderData.commanders || []);
+
+// Metadata about the snapshot (null for the legacy array format).
+export const dataVersion = Array.isArray(commanderData) ? null : {
+  version: commanderData.version,
+  generatedAt: commanderData.generated_at,
+  ranksUpdatedAt: commanderData.ranks_updated_at,
+};
+
+// EDHREC ranks for two-commander pages, keyed by pairSlug()
+export const pairRanks = Array.isArray(commanderData) ? {} : (commanderData.pair_ranks || {});
+
+// Partner/background pairings as single entries, built on first use
+let pairEntries = null;
+export function getPairEntries() {
+  if (!pairEntries) pairEntries = buildPairEntries(commanders, pairRanks);
+  return pairEntries;
+}
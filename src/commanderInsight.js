@@ -0,0 +1,41 @@
+// Post-guess insight for the classic reveal: deck count, rank movement since
+// the bundled snapshot and top synergy cards, read from the commander's
+// EDHREC page through edhrecAdapter.js. When the rank lookup already fetched
+// that page it is reused; otherwise (snapshot ranks) it is fetched once here.
+import { commanderPageBaseUrl, rankProvider } from './rankProvider.js';
+import { parseCommanderPage } from './edhrecAdapter.js';
+import { dataVersion } from './commanderData.js';
+
+// Parsed pages fetched here this session, keyed by slug (the raw payload is too big for localStorage)
+const pages = new Map();
+
+// How far the live rank moved from the one baked into commanders.json.
+// delta > 0 means the commander climbed.
+export function rankChange(liveRank, snapshotRank, since = dataVersion?.ranksUpdatedAt ?? null) {
+  if (!liveRank || !snapshotRank) return null;
+  return { from: snapshotRank, to: liveRank, delta: snapshotRank - liveRank, since };
+}
+
+const withChange = (page, meta) => ({ ...page, change: rankChange(page.rank, meta.scryfall?.commander_rank) });
+
+// Resolves to { name, rank, deckCount, synergyCards, change } or null when the
+// page can't be fetched (offline, snapshot-only builds, pairings EDHREC lacks).
+export function loadCommanderInsight(meta, { baseUrl = commanderPageBaseUrl(), fetchImpl, provider = rankProvider } = {}) {
+  if (!meta?.slug) return Promise.resolve(null);
+  const known = provider.getPage(meta.slug);
+  if (known) return Promise.resolve(withChange(known, meta));
+  if (!baseUrl) return Promise.resolve(null);
+  if (!pages.has(meta.slug)) {
+    const doFetch = fetchImpl || fetch;
+    const promise = doFetch(`${baseUrl}/${encodeURIComponent(meta.slug)}.json`)
+      .then(res => (res.ok ? res.json() : null))
+      .then(json => (json ? parseCommanderPage(json) : null))
+      .catch(() => null);
+    pages.set(meta.slug, promise);
+    // Let a failed fetch be retried on a later reveal
+    promise.then(page => {
+      if (!page) pages.delete(meta.slug);
+    });
+  }
+  return pages.get(meta.slug).then(page => page && withChange(page, meta));
+}
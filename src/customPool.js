@@ -0,0 +1,186 @@
+// Custom pools: a player's own list of commanders, pasted as plain names or a
+// Moxfield/Archidekt export, resolved against commanders.json. A pool travels
+// in the URL as ?pool=<slug>.<slug>... and saved pools live in localStorage.
+import { commanders } from './commanderData.js';
+import { cardSlug, frontName } from './cardModel.js';
+import { hashString } from './random.js';
+import { slugify } from './slug.js';
+
+const STORAGE_KEY = 'edh-rankle:pools';
+// Slugs are [a-z0-9-], so a dot never needs escaping in the URL
+const SEPARATOR = '.';
+export const MIN_POOL_SIZE = 2;
+const MAX_SUGGESTIONS = 3;
+
+// Section headings some exports put between the cards
+const HEADINGS = new Set(['commander', 'commanders', 'deck', 'mainboard', 'main', 'sideboard', 'maybeboard', 'companion', 'considering']);
+
+// Helper: the card name on one line of a pasted list, or null for blank lines,
+// comments and headings. Handles "1 Name", "1x Name (SET) 123 *F*" and
+// Archidekt's "[Category]" / "^Tag^" suffixes.
+export function parsePoolLine(line) {
+  let name = String(line).trim();
+  if (!name || name.startsWith('#') || name.startsWith('//')) return null;
+  if (HEADINGS.has(name.replace(/:$/, '').trim().toLowerCase())) return null;
+  name = name
+    .replace(/^\d+\s*x?\s+/i, '')
+    .replace(/\s*\[[^\]]*\]/g, '')
+    .replace(/\s*\^[^^]*\^/g, '')
+    .replace(/\s*\*[A-Z]+\*/gi, '')
+    .replace(/\s+\([A-Za-z0-9]{2,6}\)(\s+\S+)?\s*$/, '')
+    .trim();
+  return name || null;
+}
+
+// Every distinct name in a pasted list, in the order given
+export function parsePoolText(text) {
+  const seen = new Set();
+  const names = [];
+  for (const line of String(text).split(/\r?\n/)) {
+    const name = parsePoolLine(line);
+    if (!name || seen.has(name.toLowerCase())) continue;
+    seen.add(name.toLowerCase());
+    names.push(name);
+  }
+  return names;
+}
+
+// Helper: every slug a card answers to (full name, front face, EDHREC slug)
+function cardKeys(card) {
+  return [...new Set([slugify(card.name), slugify(frontName(card)), cardSlug(card)])];
+}
+
+const indexCache = new WeakMap();
+function indexFor(cards) {
+  if (!indexCache.has(cards)) {
+    const index = new Map();
+    for (const card of cards) {
+      for (const key of cardKeys(card)) {
+        if (!index.has(key)) index.set(key, card);
+      }
+    }
+    indexCache.set(cards, index);
+  }
+  return indexCache.get(cards);
+}
+
+// Helper: Levenshtein distance, giving up once it is certain to exceed `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      best = Math.min(best, row[j]);
+    }
+    if (best > max) return max + 1;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// Helper: closest cards to an unknown slug, nearest first, as [{ card, distance }]
+function nearestCards(key, index, max) {
+  const byCard = new Map();
+  for (const [candidate, card] of index) {
+    const distance = editDistance(key, candidate, max);
+    if (distance <= max && !(byCard.get(card) <= distance)) byCard.set(card, distance);
+  }
+  return [...byCard].map(([card, distance]) => ({ card, distance })).sort((a, b) => a.distance - b.distance);
+}
+
+// Match one name: exact slug, then a unique "Atraxa" style prefix, then a
+// close spelling. Returns { card, fuzzy } or { suggestions } when unsure.
+export function resolveName(name, cards = commanders) {
+  const index = indexFor(cards);
+  const key = slugify(name);
+  if (!key) return { suggestions: [] };
+  if (index.has(key)) return { card: index.get(key), fuzzy: false };
+  const prefixed = [...new Set([...index].filter(([candidate]) => candidate.startsWith(`${key}-`)).map(([, card]) => card))];
+  if (prefixed.length === 1) return { card: prefixed[0], fuzzy: true };
+  if (prefixed.length > 1) return { suggestions: prefixed.slice(0, MAX_SUGGESTIONS).map(card => card.name) };
+  // Allow roughly one typo per six letters before asking
+  const accept = Math.max(1, Math.floor(key.length / 6));
+  const near = nearestCards(key, index, Math.max(accept, Math.floor(key.length / 2)));
+  if (near.length && near[0].distance <= accept && !(near[1]?.distance === near[0].distance)) {
+    return { card: near[0].card, fuzzy: true };
+  }
+  return { suggestions: near.slice(0, MAX_SUGGESTIONS).map(entry => entry.card.name) };
+}
+
+// Resolve a pasted list. `cards` is the de-duplicated pool, `corrected` lists
+// names that only matched loosely, `unknown` the ones that didn't match at all.
+export function resolvePool(text, cards = commanders) {
+  const pool = [];
+  const corrected = [];
+  const unknown = [];
+  for (const input of parsePoolText(text)) {
+    const match = resolveName(input, cards);
+    if (!match.card) {
+      unknown.push({ input, suggestions: match.suggestions });
+      continue;
+    }
+    if (match.fuzzy) corrected.push({ input, name: match.card.name });
+    if (!pool.includes(match.card)) pool.push(match.card);
+  }
+  return { cards: pool, corrected, unknown };
+}
+
+export function encodePool(cards) {
+  return cards.map(cardSlug).join(SEPARATOR);
+}
+
+// Cards for a ?pool= value. Slugs commanders.json no longer knows are returned in `missing`.
+export function decodePool(value, cards = commanders) {
+  const index = indexFor(cards);
+  const pool = [];
+  const missing = [];
+  for (const slug of String(value || '').split(SEPARATOR).filter(Boolean)) {
+    const card = index.get(slug);
+    if (!card) missing.push(slug);
+    else if (!pool.includes(card)) pool.push(card);
+  }
+  return { cards: pool, missing };
+}
+
+// Query string that carries a pool, e.g. for `/pools/rank${poolSearch(value)}`
+export function poolSearch(value) {
+  return `?${new URLSearchParams({ pool: value })}`;
+}
+
+// Short stable id for a pool, used to keep best streaks apart
+export function poolId(value) {
+  const slugs = String(value || '').split(SEPARATOR).filter(Boolean).sort();
+  return hashString(slugs.join(SEPARATOR)).toString(36);
+}
+
+// Saved pools, most recently saved first: [{ name, pool, size, updatedAt }]
+export function loadSavedPools() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored.filter(entry => entry && typeof entry.name === 'string' && typeof entry.pool === 'string') : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeSavedPools(pools) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(pools));
+  } catch {
+    // Storage full or disabled; the pool still works through its link
+  }
+  return pools;
+}
+
+// Save (or overwrite) a pool under `name`; returns the updated list
+export function savePool(name, cards) {
+  const entry = { name, pool: encodePool(cards), size: cards.length, updatedAt: new Date().toISOString() };
+  return writeSavedPools([entry, ...loadSavedPools().filter(saved => saved.name !== name)]);
+}
+
+export function deleteSavedPool(name) {
+  return writeSavedPools(loadSavedPools().filter(saved => saved.name !== name));
+}
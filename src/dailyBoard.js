@@ -0,0 +1,52 @@
+// Daily board rules, kept out of Daily.jsx so they can be tested: how a drag
+// moves cards around the locked ones, and how the board turns into a guess.
+//
+// `locked[i]` is true for a slot an earlier guess got right. Locked cards
+// never move; dragging only reshuffles the unlocked ones among themselves.
+import { arrayMove } from '@dnd-kit/sortable';
+import { gradeOrder } from './dailyScore.js';
+import { DAILY_SIZE } from './dailyPicker.js';
+
+// Ranks in board order; a card without one sorts last
+export function getRanks(cards) {
+  return cards.map(card => card.rank ?? 9999);
+}
+
+const idsOf = (order) => order.map(card => card.id).join(',');
+
+// The order after dropping `activeId` onto `overId`, or null if nothing moves
+// (same card, or either one is locked)
+export function moveUnlocked(order, locked, activeId, overId) {
+  if (activeId === overId || overId == null) return null;
+  const unlockedSlots = order.map((_, idx) => idx).filter(idx => !locked[idx]);
+  const unlockedCards = unlockedSlots.map(idx => order[idx]);
+  const oldIndex = unlockedCards.findIndex(card => card.id === activeId);
+  const newIndex = unlockedCards.findIndex(card => card.id === overId);
+  if (oldIndex === -1 || newIndex === -1) return null;
+  const moved = arrayMove(unlockedCards, oldIndex, newIndex);
+  // Merge back into the full order, keeping locked cards in place
+  const next = [...order];
+  unlockedSlots.forEach((idx, i) => {
+    next[idx] = moved[i];
+  });
+  return next;
+}
+
+// Grade the board as the next guess: { history, locked, solved }, or null
+// while the board holds fewer than `size` cards (still loading), since an
+// empty board would otherwise count as solved
+export function applyGuess(order, history, size = DAILY_SIZE) {
+  if (!order.length || order.length < size) return null;
+  const { correctness, directions, score } = gradeOrder(getRanks(order));
+  return {
+    history: [...history, { correctness, directions, score, ids: idsOf(order) }],
+    locked: correctness,
+    solved: correctness.every(Boolean),
+  };
+}
+
+// True when the board is exactly the last guess, so guessing again would change nothing
+export function isRepeatGuess(order, history) {
+  const last = history[history.length - 1];
+  return !!last && last.ids === idsOf(order);
+}
@@ -0,0 +1,66 @@
+// Daily puzzle dates. A puzzle is identified by its UTC date, used as a
+// numeric seed (20251019) and numbered from the first Daily.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// UTC date of puzzle #1 ('YYYY-MM-DD'). It sets the puzzle numbers in shared
+// results and how far back the archive goes, so set VITE_FIRST_DAILY_DATE to
+// the day your Daily went live and don't change it once results are shared.
+const DEFAULT_FIRST_DAILY_DATE = '2025-10-01';
+
+const env = import.meta.env || {};
+// An unparseable setting falls back to the default rather than breaking every puzzle number
+const FIRST_DAILY_UTC = seedToDate(dateParamToSeed(env.VITE_FIRST_DAILY_DATE) ?? dateParamToSeed(DEFAULT_FIRST_DAILY_DATE)).getTime();
+
+export function getDailySeed(date = new Date()) {
+  // Use UTC date for consistency
+  const year = date.getUTCFullYear();
+  const month = (date.getUTCMonth() + 1).toString().padStart(2, '0');
+  const day = date.getUTCDate().toString().padStart(2, '0');
+  return Number(`${year}${month}${day}`);
+}
+
+// 20251019 -> Date at 00:00 UTC on that day
+export function seedToDate(seed) {
+  const s = String(seed);
+  return new Date(Date.UTC(Number(s.slice(0, 4)), Number(s.slice(4, 6)) - 1, Number(s.slice(6, 8))));
+}
+
+export function getPuzzleNumber(seed) {
+  return Math.round((seedToDate(seed).getTime() - FIRST_DAILY_UTC) / DAY_MS) + 1;
+}
+
+// Helper: milliseconds until the next UTC midnight, when a new puzzle starts
+export function msUntilNextPuzzle(now = new Date()) {
+  const next = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return next - now.getTime();
+}
+
+// 20251019 -> "2025-10-19", the form used in /daily/:date URLs
+export function seedToDateParam(seed) {
+  const s = String(seed);
+  return `${s.slice(0, 4)}-${s.slice(4, 6)}-${s.slice(6, 8)}`;
+}
+
+// "2025-10-19" -> 20251019, or null if it isn't a real calendar date
+export function dateParamToSeed(param) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(param || '');
+  if (!match) return null;
+  const seed = Number(`${match[1]}${match[2]}${match[3]}`);
+  // Date.UTC rolls 2025-02-30 over to March; reject anything that doesn't round-trip
+  return getDailySeed(seedToDate(seed)) === seed ? seed : null;
+}
+
+// A puzzle exists for every UTC day from the first Daily up to today
+export function isPlayableSeed(seed, today = getDailySeed()) {
+  return seed !== null && getPuzzleNumber(seed) >= 1 && seed <= today;
+}
+
+// Every playable seed, newest first
+export function listPuzzleSeeds(today = getDailySeed()) {
+  const seeds = [];
+  for (let t = seedToDate(today).getTime(); t >= FIRST_DAILY_UTC; t -= DAY_MS) {
+    seeds.push(getDailySeed(new Date(t)));
+  }
+  return seeds;
+}
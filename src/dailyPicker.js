@@ -0,0 +1,59 @@
+// Deterministic Daily selection, shared by the Daily page and scripts/build-daily.js.
+//
+// Eligibility is judged against the puzzle's own date rather than the
+// player's clock, so everyone with the same commanders.json draws the same set.
+import { seedToDateParam } from './dailyDate.js';
+import { createRng, randomInt } from './random.js';
+import { isBackground, isPairOnly } from './pairings.js';
+import { cardImage } from './cardModel.js';
+
+export const DAILY_SIZE = 6;
+export const MANIFEST_VERSION = 1;
+
+export function isDailyEligible(card, seed) {
+  // Partners/backgrounds rank as pairs on EDHREC, so only the pairing entry can be drawn
+  if (isPairOnly(card) || isBackground(card)) return false;
+  if (card.released_at && card.released_at > seedToDateParam(seed)) return false;
+  if (card.legalities && card.legalities.commander !== "legal") return false;
+  return (card.pair || [card]).every(half => !!cardImage(half));
+}
+
+// Draw `count` ranked commanders for a day. getRank(card) may be async and
+// returns a positive rank or null; unranked draws are skipped. Practice rounds
+// pass their own `rng` so every deal differs.
+export async function pickDailyCommanders(cards, seed, { getRank, count = DAILY_SIZE, maxAttempts = 50, rng = createRng(`daily:${seed}`) }) {
+  const arr = cards.filter(card => isDailyEligible(card, seed));
+  const result = [];
+  let attempts = 0;
+  while (result.length < count && arr.length && attempts < maxAttempts) {
+    const idx = randomInt(rng, arr.length);
+    const card = arr[idx];
+    arr.splice(idx, 1);
+    const rank = await getRank(card);
+    if (typeof rank === 'number' && rank > 0) {
+      result.push({ ...card, rank });
+    }
+    attempts++;
+  }
+  return result;
+}
+
+export function buildManifest(seed, picked) {
+  return {
+    version: MANIFEST_VERSION,
+    date: seedToDateParam(seed),
+    seed,
+    commanders: picked.map(card => ({ id: card.id, name: card.name, rank: card.rank })),
+  };
+}
+
+// Resolve a manifest back into full cards. Returns null if commanders.json no longer has one of them.
+export function cardsFromManifest(manifest, cards) {
+  if (!manifest || manifest.version !== MANIFEST_VERSION || !Array.isArray(manifest.commanders)) return null;
+  const byId = new Map(cards.map(card => [card.id, card]));
+  const resolved = manifest.commanders.map(entry => {
+    const card = byId.get(entry.id);
+    return card ? { ...card, rank: entry.rank } : null;
+  });
+  return resolved.every(Boolean) ? resolved : null;
+}
@@ -0,0 +1,74 @@
+// Daily scoring: per-card feedback, a positional score for each guess, hints
+// and the final result.
+//
+// Ranks are EDHREC ranks in the player's left-to-right order (lower = more
+// popular). A card's direction says which way it has to move: 'higher' is
+// toward Most Popular, 'lower' toward Least Popular.
+
+export const HINT_LIMIT = 2;
+export const HINT_PENALTY = 10;
+
+// Slot each card belongs in; ties keep their current relative order
+function targetSlots(ranks) {
+  const target = [];
+  ranks
+    .map((_, i) => i)
+    .sort((a, b) => ranks[a] - ranks[b] || a - b)
+    .forEach((slot, position) => {
+      target[slot] = position;
+    });
+  return target;
+}
+
+// 0-100: share of card pairs that are in the right relative order (Kendall tau)
+export function positionalScore(ranks) {
+  let pairs = 0;
+  let discordant = 0;
+  for (let i = 0; i < ranks.length; i++) {
+    for (let j = i + 1; j < ranks.length; j++) {
+      if (ranks[i] === ranks[j]) continue;
+      pairs++;
+      if (ranks[i] > ranks[j]) discordant++;
+    }
+  }
+  return pairs ? Math.round(100 * (1 - discordant / pairs)) : 100;
+}
+
+// Grade one guess: { correctness, directions, score }
+export function gradeOrder(ranks) {
+  const sorted = [...ranks].sort((a, b) => a - b);
+  const target = targetSlots(ranks);
+  const correctness = ranks.map((rank, i) => rank === sorted[i]);
+  const directions = ranks.map((_, i) => (correctness[i] ? null : target[i] < i ? 'higher' : 'lower'));
+  return { correctness, directions, score: positionalScore(ranks) };
+}
+
+// Guesses saved before scoring existed only know which slots were right
+function guessScore(guess) {
+  if (typeof guess.score === 'number') return guess.score;
+  return Math.round((100 * guess.correctness.filter(Boolean).length) / guess.correctness.length);
+}
+
+// Average positional score over all guesses, minus a penalty per hint
+export function finalScore(guesses, hintsUsed = 0) {
+  if (!guesses.length) return 0;
+  const average = guesses.reduce((sum, guess) => sum + guessScore(guess), 0) / guesses.length;
+  return Math.max(0, Math.round(average) - hintsUsed * HINT_PENALTY);
+}
+
+// The card a hint reveals: the unlocked, unrevealed card furthest from its slot.
+// `cards` carry their rank; returns null when there is nothing left to reveal.
+export function pickHint(cards, correctPositions, revealedIds) {
+  const target = targetSlots(cards.map(card => card.rank ?? Infinity));
+  let best = null;
+  let bestDistance = -1;
+  cards.forEach((card, i) => {
+    if (correctPositions[i] || revealedIds.includes(card.id)) return;
+    const distance = Math.abs(target[i] - i);
+    if (distance > bestDistance) {
+      best = card;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
@@ -0,0 +1,79 @@
+// Classic-mode difficulty: how far apart the two commanders' ranks may be.
+// A #3 vs #2400 pairing is trivial, #812 vs #815 is close to a coin flip.
+import { randomInt } from './random.js';
+
+export const DEFAULT_DIFFICULTY = 'normal';
+
+export const DIFFICULTIES = {
+  easy: { label: 'Easy', minGap: 500, maxGap: Infinity },
+  normal: { label: 'Normal', minGap: 0, maxGap: Infinity },
+  hard: { label: 'Hard', minGap: 0, maxGap: 150 },
+  expert: { label: 'Expert', minGap: 0, maxGap: 30 },
+};
+
+export function getDifficulty(id) {
+  return DIFFICULTIES[id] || DIFFICULTIES[DEFAULT_DIFFICULTY];
+}
+
+export function isWithinGap(level, rankA, rankB) {
+  const gap = Math.abs(rankA - rankB);
+  return gap >= level.minGap && gap <= level.maxGap;
+}
+
+export function isConstrained(level) {
+  return level.minGap > 0 || level.maxGap !== Infinity;
+}
+
+// Pools sorted by baked commander_rank, cached per filtered array
+const sortedPools = new WeakMap();
+
+function sortedByRank(pool) {
+  if (!sortedPools.has(pool)) {
+    const ranked = pool.filter(card => typeof card.commander_rank === 'number' && card.commander_rank > 0);
+    ranked.sort((a, b) => a.commander_rank - b.commander_rank);
+    sortedPools.set(pool, ranked);
+  }
+  return sortedPools.get(pool);
+}
+
+// First index whose rank is >= value (or > value when `after` is set)
+function bound(sorted, value, after = false) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    const r = sorted[mid].commander_rank;
+    if (r < value || (after && r === value)) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// Draw two cards whose baked ranks are within the level's gap, using binary
+// search over the rank-sorted pool instead of resampling. Returns null when the
+// pool has no baked ranks or no pair fits.
+export function pickPairWithinGap(pool, level, rng = Math.random, attempts = 20) {
+  const sorted = sortedByRank(pool);
+  if (sorted.length < 2) return null;
+  for (let attempt = 0; attempt < attempts; attempt++) {
+    const i = randomInt(rng, sorted.length);
+    const rank = sorted[i].commander_rank;
+    // Candidates sit below the card in [rank - maxGap, rank - minGap] or above it in [rank + minGap, rank + maxGap]
+    const belowStart = bound(sorted, rank - level.maxGap);
+    const belowEnd = bound(sorted, rank - level.minGap, true);
+    const aboveStart = bound(sorted, rank + Math.max(level.minGap, 1));
+    const aboveEnd = bound(sorted, rank + level.maxGap, true);
+    const below = belowEnd - belowStart;
+    const total = below + (aboveEnd - aboveStart);
+    if (total === 0 || (total === 1 && belowStart === i && below === 1)) continue;
+    let k = randomInt(rng, total);
+    let j = k < below ? belowStart + k : aboveStart + (k - below);
+    if (j === i) {
+      k = (k + 1) % total;
+      j = k < below ? belowStart + k : aboveStart + (k - below);
+    }
+    // Don't let the better-ranked card always land on the same side
+    return rng() < 0.5 ? [sorted[i], sorted[j]] : [sorted[j], sorted[i]];
+  }
+  return null;
+}
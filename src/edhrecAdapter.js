@@ -0,0 +1,102 @@
+// Adapter for EDHREC commander page JSON (json.edhrec.com/pages/commanders/<slug>.json).
+//
+// EDHREC's JSON is undocumented and changes shape now and then, so every
+// reader here is defensive: missing fields come back as null or [] rather
+// than throwing. Nothing in this file touches the network.
+
+const cardOf = (json) => {
+  const card = json?.container?.json_dict?.card;
+  return card && typeof card === 'object' ? card : null;
+};
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+// Helper: extract the rank from an EDHREC commander page JSON
+export function parseCommanderRank(json) {
+  if (!json || typeof json !== 'object') return null;
+  const card = cardOf(json);
+  if (card) {
+    if (typeof card.rank === 'number') return card.rank;
+    if (typeof card.rank === 'string' && card.rank !== '') return Number(card.rank);
+  }
+  // Look for rank in common locations
+  if (json.rank) return Number(json.rank);
+  if (json.stats?.rank) return Number(json.stats.rank);
+  if (json.meta?.rank) return Number(json.meta.rank);
+  // Some pages include panels or items with rank metadata
+  if (Array.isArray(json.items)) {
+    for (const it of json.items) {
+      if (it && typeof it === 'object' && (it.rank || it.stats?.rank)) {
+        return Number(it.rank || it.stats?.rank);
+      }
+    }
+  }
+  return null;
+}
+
+// Number of decks EDHREC has seen with this commander
+export function parseDeckCount(json) {
+  const card = cardOf(json);
+  return toNumber(card?.num_decks) ?? toNumber(json?.num_decks_avg) ?? toNumber(card?.inclusion);
+}
+
+// The cards most specific to this commander, best synergy first.
+// synergy and inclusion are fractions (0.42 = 42%).
+export function parseSynergyCards(json, limit = 5) {
+  const lists = json?.container?.json_dict?.cardlists;
+  if (!Array.isArray(lists)) return [];
+  const synergyList = lists.find(list => list?.tag === 'highsynergycards' || /synergy/i.test(list?.header || ''));
+  const views = synergyList ? synergyList.cardviews : lists.flatMap(list => list?.cardviews || []);
+  const seen = new Set();
+  return (views || [])
+    .filter(view => {
+      if (!view?.name || typeof view.synergy !== 'number' || seen.has(view.name)) return false;
+      seen.add(view.name);
+      return true;
+    })
+    .sort((a, b) => b.synergy - a.synergy)
+    .slice(0, limit)
+    .map(view => {
+      const decks = toNumber(view.num_decks ?? view.inclusion);
+      const potential = toNumber(view.potential_decks);
+      return {
+        name: view.name,
+        slug: view.sanitized || null,
+        synergy: view.synergy,
+        inclusion: decks !== null && potential ? decks / potential : null,
+      };
+    });
+}
+
+// Rank over time as [{ date: 'YYYY-MM-DD', rank }], oldest first. Accepts a
+// list of { date, rank } objects or [date, rank] pairs, or a { date: rank } map.
+export function parseRankHistory(json) {
+  const card = cardOf(json);
+  const raw = card?.rank_history ?? card?.rank_over_time ?? json?.rank_history ?? json?.rank_over_time;
+  let points = [];
+  if (Array.isArray(raw)) {
+    points = raw.map(point => (Array.isArray(point) ? { date: point[0], rank: point[1] } : { date: point?.date ?? point?.day, rank: point?.rank }));
+  } else if (raw && typeof raw === 'object') {
+    points = Object.entries(raw).map(([date, rank]) => ({ date, rank }));
+  }
+  return points
+    .map(point => ({ date: String(point.date ?? '').slice(0, 10), rank: toNumber(point.rank) }))
+    .filter(point => /^\d{4}-\d{2}-\d{2}$/.test(point.date) && point.rank > 0)
+    .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+}
+
+// Everything the reveal panel shows, in one object
+export function parseCommanderPage(json) {
+  const rank = parseCommanderRank(json);
+  return {
+    name: cardOf(json)?.name ?? null,
+    rank: typeof rank === 'number' && Number.isFinite(rank) && rank > 0 ? rank : null,
+    deckCount: parseDeckCount(json),
+    synergyCards: parseSynergyCards(json),
+    rankHistory: parseRankHistory(json),
+  };
+}
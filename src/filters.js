@@ -0,0 +1,131 @@
+// Commander pool filters and their URL encoding.
+//
+// A filter object describes which commanders a round may draw. Every field
+// has an "off" default, so only the settings a player actually changed end up
+// in the URL and a shared link reproduces the same setup.
+import { commanders, getPairEntries, pairRanks } from './commanderData.js';
+import { buildPairEntries, isBackground, isPairOnly } from './pairings.js';
+
+export const COLORS = ['W', 'U', 'B', 'R', 'G'];
+export const RARITIES = ['common', 'uncommon', 'rare', 'mythic'];
+// 'any' ignores colors; the others compare the card's color identity to `colors`
+export const COLOR_MODES = ['any', 'exact', 'subset', 'includes'];
+
+export const DEFAULT_FILTERS = {
+  includePartner: false,
+  includeUnreleased: false,
+  includeIllegal: false,
+  colorMode: 'any',
+  colors: [],
+  cmcMin: null,
+  cmcMax: null,
+  releasedAfter: null, // 'YYYY-MM-DD', inclusive
+  releasedBefore: null, // 'YYYY-MM-DD', inclusive
+  sets: [], // set codes, lower case
+  typeIncludes: '',
+  typeExcludes: '',
+  rarities: [],
+};
+
+function matchesColors(identity, colors, mode) {
+  const id = Array.isArray(identity) ? identity : [];
+  if (mode === 'exact') return id.length === colors.length && colors.every(c => id.includes(c));
+  if (mode === 'subset') return id.every(c => colors.includes(c));
+  if (mode === 'includes') return colors.every(c => id.includes(c));
+  return true;
+}
+
+export function matchesFilters(card, filters, now = new Date()) {
+  const f = { ...DEFAULT_FILTERS, ...filters };
+  // Pairings match on their combined color identity; every other filter applies to both cards
+  if (card.pair) {
+    if (!f.includePartner) return false;
+    if (f.colorMode !== 'any' && !matchesColors(card.color_identity, f.colors, f.colorMode)) return false;
+    return card.pair.every(half => matchesFilters(half, { ...f, colorMode: 'any' }, now));
+  }
+  // Partner/background filter
+  if (!f.includePartner && isPairOnly(card)) return false;
+  // Unreleased filter
+  if (!f.includeUnreleased && card.released_at && new Date(card.released_at) > now) return false;
+  // Illegal filter
+  if (!f.includeIllegal && card.legalities && card.legalities.commander !== "legal") return false;
+  if (f.colorMode !== 'any' && !matchesColors(card.color_identity, f.colors, f.colorMode)) return false;
+  if (f.cmcMin !== null && !(card.cmc >= f.cmcMin)) return false;
+  if (f.cmcMax !== null && !(card.cmc <= f.cmcMax)) return false;
+  if (f.releasedAfter && !(card.released_at >= f.releasedAfter)) return false;
+  if (f.releasedBefore && !(card.released_at <= f.releasedBefore)) return false;
+  if (f.sets.length && !f.sets.includes(String(card.set).toLowerCase())) return false;
+  const typeLine = (card.type_line || '').toLowerCase();
+  if (f.typeIncludes && !typeLine.includes(f.typeIncludes.toLowerCase())) return false;
+  if (f.typeExcludes && typeLine.includes(f.typeExcludes.toLowerCase())) return false;
+  if (f.rarities.length && !f.rarities.includes(card.rarity)) return false;
+  return true;
+}
+
+// Partners and backgrounds only enter the pool as pairings (see pairings.js),
+// never as single cards
+export function getFilteredCommanders(filters = DEFAULT_FILTERS, pool = commanders) {
+  const now = new Date();
+  const singles = pool.filter(card => !isPairOnly(card) && !isBackground(card) && matchesFilters(card, filters, now));
+  if (!filters.includePartner) return singles;
+  const pairs = pool === commanders ? getPairEntries() : buildPairEntries(pool, pairRanks);
+  return [...singles, ...pairs.filter(entry => matchesFilters(entry, filters, now))];
+}
+
+// Only the fields that differ from DEFAULT_FILTERS (used for score keys and URLs)
+export function changedFilters(filters) {
+  const out = {};
+  for (const [key, value] of Object.entries({ ...DEFAULT_FILTERS, ...filters })) {
+    if (JSON.stringify(value) !== JSON.stringify(DEFAULT_FILTERS[key])) out[key] = value;
+  }
+  return out;
+}
+
+const splitList = (value) => (value ? value.split(',').map(s => s.trim()).filter(Boolean) : []);
+const toNumber = (value) => (value === null || value === '' || Number.isNaN(Number(value)) ? null : Number(value));
+
+// Write filters into URLSearchParams (in place), removing any that are at their default
+export function writeFiltersToParams(params, filters) {
+  const f = { ...DEFAULT_FILTERS, ...filters };
+  const set = (key, value) => (value ? params.set(key, value) : params.delete(key));
+  set('partners', f.includePartner ? '1' : '');
+  set('unreleased', f.includeUnreleased ? '1' : '');
+  set('illegal', f.includeIllegal ? '1' : '');
+  set('colors', f.colorMode !== 'any' ? `${f.colorMode}:${f.colors.join('')}` : '');
+  set('mv', f.cmcMin !== null || f.cmcMax !== null ? `${f.cmcMin ?? ''}-${f.cmcMax ?? ''}` : '');
+  set('released', f.releasedAfter || f.releasedBefore ? `${f.releasedAfter ?? ''}..${f.releasedBefore ?? ''}` : '');
+  set('sets', f.sets.join(','));
+  set('type', f.typeIncludes);
+  set('notype', f.typeExcludes);
+  set('rarity', f.rarities.join(','));
+  return params;
+}
+
+export function readFiltersFromParams(params) {
+  const f = { ...DEFAULT_FILTERS };
+  f.includePartner = params.get('partners') === '1';
+  f.includeUnreleased = params.get('unreleased') === '1';
+  f.includeIllegal = params.get('illegal') === '1';
+  const [mode, colors = ''] = (params.get('colors') || '').split(':');
+  if (COLOR_MODES.includes(mode) && mode !== 'any') {
+    f.colorMode = mode;
+    f.colors = COLORS.filter(c => colors.toUpperCase().includes(c));
+  }
+  const mv = params.get('mv');
+  if (mv) {
+    const [min, max] = mv.split('-');
+    f.cmcMin = toNumber(min);
+    f.cmcMax = toNumber(max);
+  }
+  const released = params.get('released');
+  if (released) {
+    const [after, before] = released.split('..');
+    f.releasedAfter = /^\d{4}-\d{2}-\d{2}$/.test(after) ? after : null;
+    f.releasedBefore = /^\d{4}-\d{2}-\d{2}$/.test(before || '') ? before : null;
+  }
+  f.sets = splitList(params.get('sets')).map(s => s.toLowerCase());
+  f.typeIncludes = params.get('type') || '';
+  f.typeExcludes = params.get('notype') || '';
+  f.rarities = splitList(params.get('rarity')).filter(r => RARITIES.includes(r));
+  return f;
+}
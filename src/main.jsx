@@ -4,7 +4,15 @@ import { createRoot } from 'react-dom/client';
 import './App.css';
 import App from './App.jsx';
 import Daily from './Daily.jsx';
+import Archive from './Archive.jsx';
+import HigherLower from './HigherLower.jsx';
+import Rising from './Rising.jsx';
+import Pools from './Pools.jsx';
+import Party from './Party.jsx';
+import Room from './Room.jsx';
+import Blitz from './Blitz.jsx';
 import { BrowserRouter, Routes, Route } from 'react-router-dom';
+import { registerServiceWorker } from './registerServiceWorker.js';
 
 createRoot(document.getElementById('root')).render(
     <StrictMode>
@@ -12,7 +20,19 @@ createRoot(document.getElementById('root')).render(
             <Routes>
                 <Route path="/" element={<App />} />
                 <Route path="/daily" element={<Daily />} />
+                <Route path="/daily/archive" element={<Archive />} />
+                <Route path="/daily/:date" element={<Daily />} />
+                <Route path="/higher-lower" element={<HigherLower />} />
+                <Route path="/rising" element={<Rising />} />
+                <Route path="/pools" element={<Pools />} />
+                <Route path="/pools/rank" element={<Daily practice />} />
+                <Route path="/party" element={<Party />} />
+                <Route path="/room" element={<Room />} />
+                <Route path="/room/:code" element={<Room />} />
+                <Route path="/blitz" element={<Blitz />} />
             </Routes>
         </BrowserRouter>
     </StrictMode>
 );
+
+registerServiceWorker();
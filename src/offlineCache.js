@@ -0,0 +1,59 @@
+// Offline play: the cache names, the Scryfall symbols to precache and the LRU
+// rule the service worker (src/service-worker.js) uses for runtime caches.
+//
+// The worker is built into a single classic script, so this file must not
+// import anything from the rest of src/.
+
+// Versioned per build; older shells are deleted when a new worker activates
+export const SHELL_CACHE_PREFIX = 'edh-rankle-shell-';
+export const SYMBOL_CACHE = 'edh-rankle-symbols';
+export const IMAGE_CACHE = 'edh-rankle-images';
+export const PAGE_CACHE = 'edh-rankle-edhrec';
+
+// Card images (~100 kB each) and EDHREC commander pages kept for offline play
+export const IMAGE_CACHE_MAX_BYTES = 100 * 1024 * 1024;
+export const PAGE_CACHE_MAX_BYTES = 20 * 1024 * 1024;
+// Stored responses carry their body size, so indexing them never reads the body
+export const SIZE_HEADER = 'x-edh-rankle-size';
+// Each runtime cache keeps its LRU order in one JSON entry at this path
+export const LRU_INDEX_PATH = '__lru-index__';
+
+export const SYMBOL_HOST = 'svgs.scryfall.io';
+export const IMAGE_HOSTS = ['cards.scryfall.io'];
+export const PAGE_HOSTS = ['json.edhrec.com'];
+
+const GENERIC = [...Array.from({ length: 17 }, (_, n) => String(n)), '20', 'X', 'Y', 'Z'];
+const COLORS = ['W', 'U', 'B', 'R', 'G'];
+const HYBRIDS = ['WU', 'WB', 'UB', 'UR', 'BR', 'BG', 'RG', 'RW', 'GW', 'GU'];
+// Every symbol a commander's mana cost or color identity can show. CommanderPanel
+// drops the slashes, so {W/U} is WU.svg and {G/W/P} is GWP.svg.
+const SYMBOLS = [
+  ...GENERIC,
+  ...COLORS,
+  'C',
+  'S',
+  ...HYBRIDS,
+  ...COLORS.map(c => `2${c}`),
+  ...COLORS.map(c => `C${c}`),
+  ...COLORS.map(c => `${c}P`),
+  ...HYBRIDS.map(h => `${h}P`),
+];
+export const SYMBOL_URLS = SYMBOLS.map(symbol => `https://${SYMBOL_HOST}/card-symbols/${symbol}.svg`);
+
+// Keys to delete so a cache fits in `maxBytes`. `entries` are [{ key, size }],
+// least recently used first.
+export function lruEvictions(entries, maxBytes) {
+  let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+  const evicted = [];
+  for (const entry of entries) {
+    if (total <= maxBytes) break;
+    evicted.push(entry.key);
+    total -= entry.size;
+  }
+  return evicted;
+}
+
+// Move `key` to the most recently used end of `entries`, with its current size
+export function touchEntry(entries, key, size) {
+  return [...entries.filter(entry => entry.key !== key), { key, size }];
+}
@@ -0,0 +1,194 @@
+// Background queue of ready-to-play classic pairs.
+//
+// Each queued pair has both ranks resolved and its card images preloaded, so
+// "Next" can swap pairs without a spinner. Call setPool() whenever the filter
+// settings change: pairs drawn from the old pool are discarded. Pairs are
+// handed out in draw order, so a seeded queue always deals the same sequence.
+import { getFaces, cardSlug } from './cardModel.js';
+import { rankProvider, RANK_OK, RANK_NETWORK_ERROR } from './rankProvider.js';
+import { createRng, pickDistinct, randomInt } from './random.js';
+import { DEFAULT_DIFFICULTY, getDifficulty, isConstrained, isWithinGap, pickPairWithinGap } from './difficulty.js';
+
+const MAX_ATTEMPTS = 10;
+// Resampling for a narrow rank gap needs more tries when ranks aren't baked in
+const MAX_CONSTRAINED_ATTEMPTS = 40;
+const IMAGE_TIMEOUT_MS = 8000;
+const NOT_ENOUGH = { error: "Not enough commanders match the filters." };
+
+// Helper: shape a commanders.json card (or a partner/background pairing) the
+// way the two-card layout reads it. `slug` is the EDHREC page the rank comes from.
+export function toCommanderMeta(card) {
+  if (card.pair) {
+    const cards = card.pair.map(toCommanderMeta);
+    return {
+      name: card.name,
+      slug: card.edhrec_slug,
+      set_name: card.set_name,
+      art: cards[0].art,
+      cardImage: cards[0].cardImage,
+      cards,
+      scryfall: card,
+    };
+  }
+  const faces = getFaces(card);
+  return {
+    name: card.name,
+    slug: cardSlug(card),
+    set_name: card.set_name,
+    art: faces[0].art,
+    cardImage: faces[0].image,
+    faces,
+    scryfall: card,
+    cmc: card.cmc,
+    power: card.power,
+    toughness: card.toughness,
+    oracle_text: card.oracle_text,
+  };
+}
+
+// Which side of a pair ranks better: 'left', 'right' or 'tie'. Lower rank is
+// better; a missing rank counts as the worst.
+export function pairWinner(left, right) {
+  const rankOf = meta => (typeof meta.rank === 'number' ? meta.rank : Number.POSITIVE_INFINITY);
+  const lRank = rankOf(left);
+  const rRank = rankOf(right);
+  if (lRank === rRank) return 'tie';
+  return lRank < rRank ? 'left' : 'right';
+}
+
+// Draw one commander with a known rank, skipping any whose name is in `exclude`.
+// Resolves to a commander meta with its rank, or { error }.
+export async function drawRankedCommander(pool, { provider = rankProvider, rng = Math.random, exclude = [] } = {}) {
+  const candidates = pool ? pool.filter(card => !exclude.includes(card.name)) : [];
+  if (candidates.length < 1) return NOT_ENOUGH;
+  let networkError = false;
+  for (let attempts = 0; attempts < MAX_ATTEMPTS; attempts++) {
+    const meta = toCommanderMeta(candidates[randomInt(rng, candidates.length)]);
+    const result = await provider.getRank(meta.slug);
+    if (result.status === RANK_OK) {
+      await Promise.all(metaImages(meta).map(preloadImage));
+      return { ...meta, rank: result.rank };
+    }
+    networkError = result.status === RANK_NETWORK_ERROR;
+  }
+  return { error: networkError ? "Couldn't reach EDHREC to look up ranks." : "Failed to fetch valid commander from list." };
+}
+
+// Draw two distinct commanders with known ranks, retrying cards without one.
+// With a difficulty, the pair's rank gap must fit the level: baked ranks let us
+// pick a fitting pair directly, otherwise we resample until one fits.
+// Resolves to { left, right } or { error }.
+export async function drawRankedPair(pool, provider = rankProvider, rng = Math.random, difficulty = DEFAULT_DIFFICULTY) {
+  if (!pool || pool.length < 2) return NOT_ENOUGH;
+  const level = getDifficulty(difficulty);
+  const constrained = isConstrained(level);
+  let networkError = false;
+  for (let attempts = 0; attempts < (constrained ? MAX_CONSTRAINED_ATTEMPTS : MAX_ATTEMPTS); attempts++) {
+    const cards = (constrained && pickPairWithinGap(pool, level, rng)) || pickDistinct(pool, 2, rng);
+    const [left, right] = cards.map(toCommanderMeta);
+    if (left.name === right.name) continue;
+    const [lResult, rResult] = await Promise.all([
+      provider.getRank(left.slug),
+      provider.getRank(right.slug)
+    ]);
+    if (lResult.status === RANK_OK && rResult.status === RANK_OK) {
+      if (!isWithinGap(level, lResult.rank, rResult.rank)) continue;
+      return { left: { ...left, rank: lResult.rank }, right: { ...right, rank: rResult.rank } };
+    }
+    networkError = lResult.status === RANK_NETWORK_ERROR || rResult.status === RANK_NETWORK_ERROR;
+  }
+  return { error: networkError ? "Couldn't reach EDHREC to look up ranks." : "Failed to fetch valid commander from list." };
+}
+
+// Helper: every image a meta shows, including both halves of a pairing
+function metaImages(meta) {
+  const faces = [...(meta.faces || []), ...(meta.cards || []).flatMap(c => c.faces)];
+  return [meta.art, ...faces.map(face => face.image)];
+}
+
+// Helper: resolve once the browser has the image cached (or gave up on it)
+export function preloadImage(url) {
+  if (!url || typeof Image === 'undefined') return Promise.resolve();
+  return new Promise(resolve => {
+    const img = new Image();
+    const done = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(done, IMAGE_TIMEOUT_MS);
+    img.onload = done;
+    img.onerror = done;
+    img.src = url;
+  });
+}
+
+async function preparePair(pool, provider, rng, difficulty) {
+  const pair = await drawRankedPair(pool, provider, rng, difficulty);
+  if (!pair.error) {
+    await Promise.all([pair.left, pair.right].flatMap(metaImages).map(preloadImage));
+  }
+  return pair;
+}
+
+export function createPairQueue({ size = 3, provider = rankProvider } = {}) {
+  let pool = [];
+  let seed = null;
+  let difficulty = DEFAULT_DIFFICULTY;
+  let generation = 0;
+  // Index of the next pair to draw; seeded runs derive pair N from `${seed}:${N}`
+  let drawIndex = 0;
+  // Pairs in draw order: { promise, pair } where pair is set once prepared
+  let slots = [];
+
+  function prepareSlot() {
+    const rng = seed != null ? createRng(`${seed}:${drawIndex}`) : Math.random;
+    drawIndex++;
+    const slot = { pair: null };
+    slot.promise = preparePair(pool, provider, rng, difficulty).then(pair => {
+      slot.pair = pair;
+      return pair;
+    });
+    return slot;
+  }
+
+  function fill() {
+    if (pool.length < 2) return;
+    while (slots.length < size) slots.push(prepareSlot());
+  }
+
+  return {
+    // Replace the pool (e.g. after a filter change) and drop queued pairs.
+    // Pass a seed to make the sequence of pairs replayable, and a difficulty to limit rank gaps.
+    setPool(nextPool, options = {}) {
+      pool = nextPool || [];
+      seed = options.seed ?? null;
+      difficulty = options.difficulty || DEFAULT_DIFFICULTY;
+      generation++;
+      drawIndex = 0;
+      slots = [];
+      fill();
+    },
+    // The next pair if it's already prepared, otherwise null
+    takeReady() {
+      if (!slots[0]?.pair) return null;
+      const { pair } = slots.shift();
+      fill();
+      return pair;
+    },
+    // Resolves with the next pair, waiting for it to be prepared if needed
+    take() {
+      if (pool.length < 2) return Promise.resolve(NOT_ENOUGH);
+      const gen = generation;
+      const slot = slots.shift() || prepareSlot();
+      fill();
+      // If the pool changed while waiting, hand out a pair from the new one instead
+      return slot.promise.then(pair => (gen === generation ? pair : this.take()));
+    },
+    // Stop preparing pairs for a component that has gone away
+    dispose() {
+      pool = [];
+      generation++;
+      slots = [];
+    },
+  };
+}
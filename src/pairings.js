@@ -0,0 +1,115 @@
+// Two-card commander pairings: Partner, Partner with, Partner—<group>,
+// Friends forever, Doctor's companion and Choose a background.
+//
+// EDHREC ranks each legal pairing as its own page, so the game treats a pair
+// as a single entry with both cards attached. Pure functions over card
+// arrays so the Node scripts can build the same entries.
+import { pairSlug } from './slug.js';
+import { frontName } from './cardModel.js';
+
+const COLOR_ORDER = ['W', 'U', 'B', 'R', 'G'];
+
+function oracleOf(card) {
+  if (card.oracle_text) return card.oracle_text;
+  return (card.card_faces || []).map(face => face.oracle_text || '').join('\n');
+}
+
+function hasKeyword(card, keyword) {
+  return Array.isArray(card.keywords) && card.keywords.includes(keyword);
+}
+
+export function isBackground(card) {
+  return /\bBackground\b/.test(card.type_line || '');
+}
+
+function partnerWithName(card) {
+  const match = /Partner with ([^\n(]+?)\s*(?:\(|\n|$)/.exec(oracleOf(card));
+  return match ? match[1].trim() : null;
+}
+
+// "Partner—Survivors" style: only partners with the same group
+function partnerGroup(card) {
+  const match = /Partner—([^\n(]+?)\s*(?:\(|\n|$)/.exec(oracleOf(card));
+  return match ? match[1].trim() : null;
+}
+
+function isDoctor(card) {
+  return /\bTime Lord Doctor\b/.test(card.type_line || '');
+}
+
+// Cards that EDHREC only ranks as half of a pairing
+export function isPairOnly(card) {
+  return hasKeyword(card, 'Partner') || hasKeyword(card, 'Choose a background') ||
+    hasKeyword(card, 'Friends forever') || hasKeyword(card, "Doctor's companion") || !!partnerWithName(card);
+}
+
+export function makePairEntry(first, second, rank = null) {
+  const identity = new Set([...(first.color_identity || []), ...(second.color_identity || [])]);
+  const bothLegal = first.legalities?.commander === 'legal' && second.legalities?.commander === 'legal';
+  return {
+    id: `${first.id}+${second.id}`,
+    name: `${first.name} + ${second.name}`,
+    edhrec_slug: pairSlug(frontName(first), frontName(second)),
+    pair: [first, second],
+    color_identity: COLOR_ORDER.filter(c => identity.has(c)),
+    set_name: first.set_name === second.set_name ? first.set_name : `${first.set_name} / ${second.set_name}`,
+    released_at: [first.released_at, second.released_at].filter(Boolean).sort().pop(),
+    legalities: { commander: bothLegal ? 'legal' : 'not_legal' },
+    commander_rank: typeof rank === 'number' ? rank : null,
+  };
+}
+
+// Every legal pairing in `cards`. When pairRanks (slug -> rank) has entries,
+// only pairings EDHREC actually ranks are kept; otherwise all are returned and
+// ranks are looked up later.
+export function buildPairEntries(cards, pairRanks = {}) {
+  const rankedOnly = Object.keys(pairRanks).length > 0;
+  const seen = new Set();
+  const entries = [];
+  const add = (a, b) => {
+    if (a.name === b.name) return;
+    const slug = pairSlug(frontName(a), frontName(b));
+    if (seen.has(slug) || (rankedOnly && !pairRanks[slug])) return;
+    seen.add(slug);
+    entries.push(makePairEntry(a, b, pairRanks[slug]));
+  };
+  const allPairs = (list) => {
+    for (let i = 0; i < list.length; i++) {
+      for (let j = i + 1; j < list.length; j++) add(list[i], list[j]);
+    }
+  };
+
+  const byName = new Map(cards.map(card => [card.name, card]));
+  const generic = [];
+  const groups = new Map();
+  const friends = [];
+  const companions = [];
+  const doctors = [];
+  const choosers = [];
+  const backgrounds = [];
+  for (const card of cards) {
+    const withName = partnerWithName(card);
+    const group = partnerGroup(card);
+    if (withName) {
+      const partner = byName.get(withName);
+      if (partner) add(...[card, partner].sort((x, y) => x.name.localeCompare(y.name)));
+    } else if (group) {
+      if (!groups.has(group)) groups.set(group, []);
+      groups.get(group).push(card);
+    } else if (hasKeyword(card, 'Partner')) {
+      generic.push(card);
+    }
+    if (hasKeyword(card, 'Friends forever')) friends.push(card);
+    if (hasKeyword(card, "Doctor's companion")) companions.push(card);
+    if (isDoctor(card)) doctors.push(card);
+    if (hasKeyword(card, 'Choose a background')) choosers.push(card);
+    if (isBackground(card)) backgrounds.push(card);
+  }
+  allPairs(generic);
+  groups.forEach(allPairs);
+  allPairs(friends);
+  // The commander goes first, its companion or background second
+  companions.forEach(companion => doctors.forEach(doctor => add(doctor, companion)));
+  choosers.forEach(chooser => backgrounds.forEach(background => add(chooser, background)));
+  return entries;
+}
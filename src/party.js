@@ -0,0 +1,106 @@
+// Pass-and-play: several players sharing one screen. Pure state helpers for
+// Party.jsx; every function returns a new party object.
+//
+// Play styles:
+// - turns: one shared sequence of pairs, each player takes the next pair in turn
+// - race: every player plays the same seeded pairs from the start, one after another
+// Formats:
+// - elimination: a wrong guess knocks the player out
+// - rounds: everyone plays a fixed number of pairs
+// A tie counts as a correct guess.
+
+export const MIN_PLAYERS = 2;
+export const MAX_PLAYERS = 8;
+export const ROUND_OPTIONS = [3, 5, 10];
+
+export const PLAY_STYLES = {
+  turns: { label: 'Take turns', description: 'Players alternate on one shared sequence of pairs.' },
+  race: { label: 'Race', description: 'Each player plays the same seeded pairs in turn, then scores are compared.' },
+};
+
+export const FORMATS = {
+  elimination: { label: 'Elimination', description: 'A wrong guess knocks you out.' },
+  rounds: { label: 'Fixed rounds', description: 'Everyone plays the same number of pairs.' },
+};
+
+export function createParty({ names, style = 'turns', format = 'elimination', rounds = ROUND_OPTIONS[1], seed }) {
+  return {
+    style,
+    format,
+    rounds,
+    seed,
+    current: 0,
+    // Guesses made so far across all players; records when a player went out
+    turn: 0,
+    finished: false,
+    players: names.map(name => ({ name, score: 0, guesses: 0, out: false, outAt: null })),
+  };
+}
+
+export function currentPlayer(party) {
+  return party.players[party.current];
+}
+
+// Helper: is this player still due a guess?
+function isActive(party, player) {
+  if (player.out) return false;
+  return party.format !== 'rounds' || player.guesses < party.rounds;
+}
+
+// Record the current player's guess
+export function scoreGuess(party, correct) {
+  const turn = party.turn + 1;
+  const players = party.players.map((player, i) => {
+    if (i !== party.current) return player;
+    const out = !correct && party.format === 'elimination';
+    return {
+      ...player,
+      score: player.score + (correct ? 1 : 0),
+      guesses: player.guesses + 1,
+      out,
+      outAt: out ? turn : player.outAt,
+    };
+  });
+  return { ...party, turn, players };
+}
+
+// Move on after a guess: to the next player in turn, or the next in line once
+// a race run ends. Sets `finished` when nobody is left to play.
+export function advance(party) {
+  const { players } = party;
+  if (party.style === 'race') {
+    if (isActive(party, players[party.current])) return party;
+    const next = party.current + 1;
+    return next < players.length ? { ...party, current: next } : { ...party, finished: true };
+  }
+  // Taking turns under elimination ends once a single player is left standing
+  if (party.format === 'elimination' && players.filter(player => !player.out).length <= 1) {
+    return { ...party, finished: true };
+  }
+  for (let step = 1; step <= players.length; step++) {
+    const next = (party.current + step) % players.length;
+    if (isActive(party, players[next])) return { ...party, current: next };
+  }
+  return { ...party, finished: true };
+}
+
+// Helper: order two players by result. When players take turns under
+// elimination, surviving longer beats a higher score.
+function comparePlayers(party, a, b) {
+  if (party.style === 'turns' && party.format === 'elimination') {
+    if (a.out !== b.out) return a.out ? 1 : -1;
+    if (a.out && a.outAt !== b.outAt) return b.outAt - a.outAt;
+  }
+  return b.score - a.score;
+}
+
+// Final standings, best first, as players with a `place`; ties share a place
+export function standings(party) {
+  const sorted = [...party.players].sort((a, b) => comparePlayers(party, a, b));
+  const ranked = [];
+  sorted.forEach((player, i) => {
+    const tied = i > 0 && comparePlayers(party, sorted[i - 1], player) === 0;
+    ranked.push({ ...player, place: tied ? ranked[i - 1].place : i + 1 });
+  });
+  return ranked;
+}
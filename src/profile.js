@@ -0,0 +1,165 @@
+// Local player profile: streaks, lifetime stats, Daily records and the Blitz
+// leaderboard, persisted in localStorage.
+//
+// The stored object carries a schema version. When the shape changes, bump
+// PROFILE_VERSION and add a migration keyed by the version it produces;
+// loadProfile() runs every migration newer than the stored version in order.
+import { useCallback, useEffect, useState } from 'react';
+import { LEADERBOARD_SIZE } from './blitz.js';
+
+const STORAGE_KEY = 'edh-rankle:profile';
+export const PROFILE_VERSION = 2;
+
+function emptyProfile() {
+  return {
+    version: PROFILE_VERSION,
+    classic: {
+      // Best streak per filter combination, keyed by filterKey()
+      bestStreaks: {},
+      streak: 0,
+      lastStreak: null,
+      totalGuesses: 0,
+      correctGuesses: 0,
+      gamesPlayed: 0,
+    },
+    // Daily records keyed by getDailySeed(): { solved, guesses: [{ correctness, ids }], order, updatedAt }
+    daily: {},
+    blitz: {
+      // Best runs first: { score, guesses, correct, accuracy, perMinute, playedAt }
+      leaderboard: [],
+    },
+  };
+}
+
+const migrations = {
+  // v0: data written before the profile was versioned (or nothing at all)
+  1: (old) => {
+    const base = emptyProfile();
+    return {
+      ...base,
+      classic: { ...base.classic, ...(old.classic || {}) },
+      daily: { ...(old.daily || {}) },
+    };
+  },
+  // v1: profiles from before the Blitz leaderboard
+  2: (old) => ({ ...old, blitz: { leaderboard: [] } }),
+};
+
+export function migrateProfile(stored) {
+  let profile = stored && typeof stored === 'object' ? stored : {};
+  const from = Number.isInteger(profile.version) ? profile.version : 0;
+  if (from > PROFILE_VERSION) return emptyProfile(); // Written by a newer build; don't guess
+  for (let v = from + 1; v <= PROFILE_VERSION; v++) {
+    profile = { ...migrations[v](profile), version: v };
+  }
+  return profile;
+}
+
+export function loadProfile() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return migrateProfile(raw ? JSON.parse(raw) : null);
+  } catch {
+    return emptyProfile();
+  }
+}
+
+export function saveProfile(profile) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(profile));
+  } catch {
+    // Storage full or disabled: the game still works, it just won't remember
+  }
+}
+
+// Helper: stable key for a set of game options, e.g. { includePartner: true } -> "includePartner=true"
+export function filterKey(options = {}) {
+  return Object.keys(options)
+    .sort()
+    .map(k => `${k}=${typeof options[k] === 'object' ? JSON.stringify(options[k]) : options[k]}`)
+    .join('&') || 'default';
+}
+
+export function recordClassicGuess(profile, key, { correct, streak }) {
+  const classic = profile.classic;
+  const best = classic.bestStreaks[key] || 0;
+  return {
+    ...profile,
+    classic: {
+      ...classic,
+      totalGuesses: classic.totalGuesses + 1,
+      correctGuesses: classic.correctGuesses + (correct ? 1 : 0),
+      // A wrong guess ends the game
+      gamesPlayed: classic.gamesPlayed + (correct ? 0 : 1),
+      streak: correct ? streak : 0,
+      lastStreak: correct ? classic.lastStreak : streak,
+      bestStreaks: { ...classic.bestStreaks, [key]: Math.max(best, streak) },
+    },
+  };
+}
+
+// For modes that keep their own running streak and only need the best one remembered
+export function recordBestStreak(profile, key, streak) {
+  const best = profile.classic.bestStreaks[key] || 0;
+  if (streak <= best) return profile;
+  return { ...profile, classic: { ...profile.classic, bestStreaks: { ...profile.classic.bestStreaks, [key]: streak } } };
+}
+
+export function setClassicStreak(profile, { streak, lastStreak }) {
+  return { ...profile, classic: { ...profile.classic, streak, lastStreak } };
+}
+
+export function recordDaily(profile, seed, record) {
+  return {
+    ...profile,
+    daily: {
+      ...profile.daily,
+      [seed]: { ...(profile.daily[seed] || {}), ...record, updatedAt: new Date().toISOString() },
+    },
+  };
+}
+
+// Add a finished Blitz run, keeping the best LEADERBOARD_SIZE
+export function recordBlitzRun(profile, run) {
+  const leaderboard = [...profile.blitz.leaderboard, run]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, LEADERBOARD_SIZE);
+  return { ...profile, blitz: { ...profile.blitz, leaderboard } };
+}
+
+// Lifetime Daily stats derived from the stored records
+export function dailyStats(profile) {
+  const records = Object.values(profile.daily);
+  const solved = records.filter(r => r.solved);
+  const totalGuesses = solved.reduce((sum, r) => sum + (r.guesses?.length || 0), 0);
+  // Records from before Daily scoring have no score
+  const scored = solved.filter(r => typeof r.score === 'number');
+  return {
+    played: records.length,
+    solved: solved.length,
+    averageGuesses: solved.length ? totalGuesses / solved.length : null,
+    averageScore: scored.length ? scored.reduce((sum, r) => sum + r.score, 0) / scored.length : null,
+  };
+}
+
+// Hook: current profile plus an updater that persists. Stays in sync across tabs.
+export function useProfile() {
+  const [profile, setProfile] = useState(loadProfile);
+
+  useEffect(() => {
+    const onStorage = (e) => {
+      if (e.key === STORAGE_KEY) setProfile(loadProfile());
+    };
+    window.addEventListener('storage', onStorage);
+    return () => window.removeEventListener('storage', onStorage);
+  }, []);
+
+  const update = useCallback((fn) => {
+    // Re-read so writes from another tab aren't clobbered
+    const next = fn(loadProfile());
+    saveProfile(next);
+    setProfile(next);
+  }, []);
+
+  return [profile, update];
+}
@@ -0,0 +1,69 @@
+// Deterministic pseudo-random numbers shared by every mode that needs to be
+// replayable (the Daily, seeded classic runs). Same seed, same sequence, in
+// any JS engine: everything is 32-bit integer math.
+
+// Helper: 32-bit hash of a string (cyrb53, truncated) used to seed the generator
+export function hashString(str) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (h1 ^ h2) >>> 0;
+}
+
+// mulberry32: returns a function producing floats in [0, 1)
+export function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function next() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Seed with a number or any string (e.g. "daily:20251019", a friend's run code)
+export function createRng(seed) {
+  return mulberry32(typeof seed === 'number' && Number.isInteger(seed) ? seed : hashString(String(seed)));
+}
+
+export function randomInt(rng, max) {
+  return Math.floor(rng() * max);
+}
+
+// Seeded Fisher–Yates shuffle; returns a new array
+export function shuffle(arr, rng = Math.random) {
+  const out = [...arr];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = randomInt(rng, i + 1);
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+// n distinct elements in draw order, without copying the whole array
+export function pickDistinct(arr, n, rng = Math.random) {
+  if (!arr || n > arr.length) return null;
+  const taken = new Map();
+  const out = [];
+  // Partial Fisher–Yates over virtual indices
+  for (let i = 0; i < n; i++) {
+    const j = i + randomInt(rng, arr.length - i);
+    const atJ = taken.has(j) ? taken.get(j) : j;
+    const atI = taken.has(i) ? taken.get(i) : i;
+    taken.set(j, atI);
+    out.push(arr[atJ]);
+  }
+  return out;
+}
+
+// Short code for sharing a seeded run
+export function randomSeedCode() {
+  return Math.random().toString(36).slice(2, 8);
+}
@@ -0,0 +1,28 @@
+// Rank-over-time helpers shared by the reveal sparkline, "Who's rising?" and
+// scripts/build-commanders.js. A history is [{ date: 'YYYY-MM-DD', rank }],
+// oldest first.
+
+export const HISTORY_LENGTH = 12;
+export const RISING_PERIOD_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Add (or replace) the point for `date`, keeping the newest HISTORY_LENGTH points
+export function mergeRankHistory(history, date, rank, limit = HISTORY_LENGTH) {
+  const points = (Array.isArray(history) ? history : []).filter(point => point.date !== date);
+  if (typeof rank === 'number' && rank > 0) points.push({ date, rank });
+  points.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+  return points.slice(-limit);
+}
+
+// Places gained over roughly the last `periodDays`: the newest point compared
+// with the newest one at least that old (or the oldest there is). Positive
+// means the commander climbed. Null without two points to compare.
+export function rankGain(history, periodDays = RISING_PERIOD_DAYS) {
+  if (!Array.isArray(history) || history.length < 2) return null;
+  const latest = history[history.length - 1];
+  const cutoff = Date.parse(latest.date) - periodDays * DAY_MS;
+  const older = history.slice(0, -1);
+  const start = [...older].reverse().find(point => Date.parse(point.date) <= cutoff) || older[0];
+  return start.rank - latest.rank;
+}
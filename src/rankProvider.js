@@ -0,0 +1,219 @@
+// RankProvider: single entry point for looking up a commander's EDHREC rank.
+//
+// Lookups go through a chain of backends (bundled snapshot, live EDHREC, or a
+// local mock server), are cached in localStorage with a TTL, concurrent
+// requests for the same slug share one promise, and network failures are
+// retried with exponential backoff. Every lookup resolves to a typed result:
+//   { status: 'ok', rank, source }
+//   { status: 'not-found' }
+//   { status: 'network-error', error }
+import { commanders, pairRanks } from './commanderData.js';
+import { slugify } from './slug.js';
+import { cardSlug } from './cardModel.js';
+import { parseCommanderPage } from './edhrecAdapter.js';
+
+export const RANK_OK = 'ok';
+export const RANK_NOT_FOUND = 'not-found';
+export const RANK_NETWORK_ERROR = 'network-error';
+
+const EDHREC_JSON_URL = 'https://json.edhrec.com/pages/commanders';
+const MOCK_URL = 'http://localhost:5174';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Thrown by backends for failures worth retrying (offline, 5xx, bad JSON).
+export class RankNetworkError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'RankNetworkError';
+    this.status = status;
+  }
+}
+
+function isValidRank(rank) {
+  return typeof rank === 'number' && Number.isFinite(rank) && rank > 0;
+}
+
+// Backend: EDHREC's JSON pages (or anything serving the same shape, e.g. the mock server)
+export function edhrecBackend({ baseUrl = EDHREC_JSON_URL, fetchImpl } = {}) {
+  return async function lookup(slug) {
+    const doFetch = fetchImpl || fetch;
+    let res;
+    try {
+      res = await doFetch(`${baseUrl}/${encodeURIComponent(slug)}.json`);
+    } catch (e) {
+      throw new RankNetworkError(e?.message || 'Network request failed');
+    }
+    // EDHREC answers unknown pages with 404 (and sometimes 403 from the CDN)
+    if (res.status === 404 || res.status === 403) return { status: RANK_NOT_FOUND };
+    if (!res.ok) throw new RankNetworkError(`EDHREC responded ${res.status}`, res.status);
+    let json;
+    try {
+      json = await res.json();
+    } catch {
+      throw new RankNetworkError('EDHREC returned invalid JSON', res.status);
+    }
+    // The parsed page rides along so the reveal panel doesn't fetch it again
+    const page = parseCommanderPage(json);
+    return page.rank ? { status: RANK_OK, rank: page.rank, source: 'edhrec', page } : { status: RANK_NOT_FOUND };
+  };
+}
+
+// Backend: ranks baked into commanders.json by `npm run build:data`
+export function snapshotBackend(cards = commanders, extraRanks = pairRanks) {
+  const ranks = new Map();
+  for (const card of cards) {
+    if (isValidRank(card.commander_rank)) ranks.set(cardSlug(card), card.commander_rank);
+  }
+  // Partner/background pairings are ranked under their combined slug
+  for (const [slug, rank] of Object.entries(extraRanks)) {
+    if (isValidRank(rank)) ranks.set(slug, rank);
+  }
+  return async function lookup(slug) {
+    const rank = ranks.get(slug);
+    return rank ? { status: RANK_OK, rank, source: 'snapshot' } : { status: RANK_NOT_FOUND };
+  };
+}
+
+// Backend: local mock server (scripts/mock-rank-server.js) for tests and offline dev
+export function mockServerBackend(baseUrl = MOCK_URL) {
+  const lookup = edhrecBackend({ baseUrl });
+  return async slug => {
+    const result = await lookup(slug);
+    return result.status === RANK_OK ? { ...result, source: 'mock' } : result;
+  };
+}
+
+// Cache: localStorage with a TTL. Only definitive answers are stored.
+export function localStorageCache({ prefix = 'edh-rankle:rank:', ttl = DAY_MS, storage } = {}) {
+  const store = () => {
+    try {
+      return storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+    } catch {
+      return null;
+    }
+  };
+  return {
+    get(slug) {
+      const s = store();
+      if (!s) return null;
+      try {
+        const entry = JSON.parse(s.getItem(prefix + slug));
+        if (!entry) return null;
+        if (Date.now() - entry.savedAt > ttl) {
+          // Free the space: these share the quota with the profile and Daily records
+          s.removeItem(prefix + slug);
+          return null;
+        }
+        return entry.result;
+      } catch {
+        return null;
+      }
+    },
+    set(slug, result) {
+      const s = store();
+      if (!s) return;
+      try {
+        s.setItem(prefix + slug, JSON.stringify({ savedAt: Date.now(), result }));
+      } catch {
+        // Quota exceeded or storage disabled: caching is best effort
+      }
+    },
+  };
+}
+
+// Retrying can't help while the browser knows it has no connection
+function isOffline() {
+  return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export function createRankProvider({
+  backends = [snapshotBackend(), edhrecBackend()],
+  cache = localStorageCache(),
+  retries = 3,
+  baseDelay = 300,
+} = {}) {
+  const inFlight = new Map();
+  // Parsed EDHREC pages fetched this session, keyed by slug
+  const pages = new Map();
+
+  async function withBackoff(lookup, slug) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await lookup(slug);
+      } catch (e) {
+        if (attempt >= retries || isOffline()) return { status: RANK_NETWORK_ERROR, error: e };
+        await sleep(baseDelay * 2 ** attempt);
+      }
+    }
+  }
+
+  async function resolve(slug) {
+    let networkError = null;
+    for (const lookup of backends) {
+      const result = await withBackoff(lookup, slug);
+      if (result.status === RANK_OK) return result;
+      if (result.status === RANK_NETWORK_ERROR) networkError = result;
+    }
+    // A backend that couldn't be reached may still have had the rank
+    return networkError || { status: RANK_NOT_FOUND };
+  }
+
+  // Look up a rank by card name or EDHREC slug
+  function getRank(nameOrSlug) {
+    const slug = slugify(nameOrSlug || '');
+    if (!slug) return Promise.resolve({ status: RANK_NOT_FOUND });
+    const cached = cache?.get(slug);
+    if (cached) return Promise.resolve(cached);
+    if (inFlight.has(slug)) return inFlight.get(slug);
+
+    const promise = resolve(slug).then(result => {
+      // Pages stay in memory only: the cache just needs enough to answer again
+      const { page, ...stored } = result;
+      if (page) pages.set(slug, page);
+      if (result.status !== RANK_NETWORK_ERROR) cache?.set(slug, stored);
+      return stored;
+    }).finally(() => {
+      inFlight.delete(slug);
+    });
+    inFlight.set(slug, promise);
+    return promise;
+  }
+
+  // The parsed EDHREC page a lookup already fetched for `slug`, or null
+  function getPage(slug) {
+    return pages.get(slug) ?? null;
+  }
+
+  return { getRank, getPage };
+}
+
+// Backend names from VITE_RANK_BACKEND: a comma separated list of
+// "snapshot", "live" and "mock" (default "snapshot,live").
+function backendNames() {
+  const env = import.meta.env || {};
+  return (env.VITE_RANK_BACKEND || 'snapshot,live').split(',').map(s => s.trim());
+}
+
+// Where full commander pages can be fetched from, or null when only the snapshot is enabled
+export function commanderPageBaseUrl() {
+  const names = backendNames();
+  if (names.includes('mock')) return import.meta.env?.VITE_RANK_MOCK_URL || MOCK_URL;
+  if (names.includes('live')) return EDHREC_JSON_URL;
+  return null;
+}
+
+function backendsFromEnv() {
+  const env = import.meta.env || {};
+  return backendNames().map(name => {
+    if (name === 'snapshot') return snapshotBackend();
+    if (name === 'mock') return mockServerBackend(env.VITE_RANK_MOCK_URL);
+    return edhrecBackend();
+  });
+}
+
+// Shared provider used by every game mode
+export const rankProvider = createRankProvider({ backends: backendsFromEnv() });
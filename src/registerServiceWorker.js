@@ -0,0 +1,10 @@
+// Registers the offline service worker (src/service-worker.js). Production
+// builds only: in dev it would cache Vite's modules and hide your edits.
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch(() => {
+      // No offline play this visit; everything else works the same
+    });
+  });
+}
@@ -0,0 +1,34 @@
+// "Who's rising?": two commanders, guess which one climbed more EDHREC places
+// over the last RISING_PERIOD_DAYS. Histories come from commanders.json when
+// the build recorded them, otherwise from the commander's live EDHREC page.
+import { loadCommanderInsight } from './commanderInsight.js';
+import { toCommanderMeta, preloadImage } from './pairQueue.js';
+import { pickDistinct } from './random.js';
+import { rankGain } from './rankHistory.js';
+
+const MAX_ATTEMPTS = 10;
+
+// Helper: the card's meta with history, gain and latest rank, or null without enough history
+async function withHistory(card) {
+  const meta = toCommanderMeta(card);
+  let history = card.rank_history;
+  if (rankGain(history) === null) history = (await loadCommanderInsight(meta))?.rankHistory;
+  const gain = rankGain(history);
+  if (gain === null) return null;
+  return { ...meta, history, gain, rank: history[history.length - 1].rank };
+}
+
+// Resolves to { left, right } or { error }
+export async function drawRisingPair(pool, rng = Math.random) {
+  const baked = pool.filter(card => rankGain(card.rank_history) !== null);
+  // Without baked history every draw needs a page fetch, so prefer cards that have it
+  const source = baked.length >= 2 ? baked : pool;
+  if (source.length < 2) return { error: "Not enough commanders match the filters." };
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const [left, right] = await Promise.all(pickDistinct(source, 2, rng).map(withHistory));
+    if (!left || !right) continue;
+    await Promise.all([left, right].flatMap(meta => [preloadImage(meta.cardImage), preloadImage(meta.art)]));
+    return { left, right };
+  }
+  return { error: "Couldn't find rank history for these commanders." };
+}
@@ -0,0 +1,57 @@
+// Head-to-head rooms: the rules shared by scripts/room-server.js and the
+// /room/:code client, so both deal the same pairs and score the same way.
+//
+// Messages are JSON objects with a `type`:
+//   client -> server: join { code, name }, start { rounds }, guess { round, side }, restart
+//   server -> client: welcome { you }, room { room }, pair { round, left, right, roundMs },
+//                     guessed { id }, reveal { round, winner, ranks, guesses }, error { message }
+// Cards travel as { id, name }; each side looks the full card up in its own commanders.json.
+import { createRng, pickDistinct, randomInt } from './random.js';
+
+export const ROOM_CODE_LENGTH = 5;
+// No 0/O or 1/I so codes survive being read out loud
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+export const MAX_ROOM_MEMBERS = 8;
+export const ROUND_OPTIONS = [5, 10, 15];
+export const ROUND_MS = 20000;
+export const REVEAL_MS = 5000;
+export const CORRECT_POINTS = 10;
+// Extra points for answering instantly, falling to zero at the end of the round
+export const SPEED_POINTS = 10;
+export const DEFAULT_ROOM_SERVER = 'ws://localhost:5175';
+
+export function randomRoomCode(rng = Math.random) {
+  return Array.from({ length: ROOM_CODE_LENGTH }, () => CODE_ALPHABET[randomInt(rng, CODE_ALPHABET.length)]).join('');
+}
+
+// Upper-cased code, or null if it can't be one
+export function normalizeRoomCode(code) {
+  const upper = String(code || '').trim().toUpperCase();
+  return upper.length === ROOM_CODE_LENGTH && [...upper].every(ch => CODE_ALPHABET.includes(ch)) ? upper : null;
+}
+
+// Cards a room can deal: single commanders with a baked rank, so a room plays offline
+export function roomDeck(cards) {
+  return cards.filter(card => typeof card.commander_rank === 'number' && card.commander_rank > 0);
+}
+
+// Round N of a room always deals the same two cards for the same seed and deck
+export function dealRoomPair(deck, seed, round) {
+  const picked = pickDistinct(deck, 2, createRng(`room:${seed}:${round}`));
+  if (!picked) return null;
+  const [left, right] = picked;
+  return { left, right };
+}
+
+// 'left', 'right' or 'tie' by baked rank (lower is better)
+export function roomWinner({ left, right }) {
+  if (left.commander_rank === right.commander_rank) return 'tie';
+  return left.commander_rank < right.commander_rank ? 'left' : 'right';
+}
+
+// Points for one guess answered `ms` after the pair was dealt
+export function guessPoints(correct, ms, roundMs = ROUND_MS) {
+  if (!correct) return 0;
+  const remaining = Math.min(1, Math.max(0, 1 - ms / roundMs));
+  return CORRECT_POINTS + Math.round(SPEED_POINTS * remaining);
+}
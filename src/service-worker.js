@@ -0,0 +1,152 @@
+// Service worker, built to dist/sw.js by scripts/service-worker-plugin.js.
+//
+// - Install precaches the app shell (every built file plus public/, which
+//   holds the frozen Daily manifests) and, best effort, Scryfall's symbols.
+//   The commanders.json rank snapshot is part of the built JS.
+// - Page loads get the cached index.html, so every route works offline.
+// - Card images are cache first and EDHREC pages network first, each in an
+//   LRU cache capped by size (see offlineCache.js). The LRU order lives in one
+//   index entry per cache, so a hit or a trim never walks the whole cache.
+import {
+  SHELL_CACHE_PREFIX, SYMBOL_CACHE, IMAGE_CACHE, PAGE_CACHE,
+  IMAGE_CACHE_MAX_BYTES, PAGE_CACHE_MAX_BYTES, SIZE_HEADER,
+  LRU_INDEX_PATH, SYMBOL_HOST, IMAGE_HOSTS, PAGE_HOSTS, SYMBOL_URLS,
+  lruEvictions, touchEntry,
+} from './offlineCache.js';
+
+// { version, files } filled in at build time
+const PRECACHE = self.__PRECACHE__;
+const SHELL_CACHE = `${SHELL_CACHE_PREFIX}${PRECACHE.version}`;
+const scoped = (path) => new URL(path, self.registration.scope).href;
+
+async function precacheSymbols() {
+  const cache = await caches.open(SYMBOL_CACHE);
+  await Promise.allSettled(SYMBOL_URLS.map(async url => {
+    if (await cache.match(url)) return;
+    const res = await fetch(url, { mode: 'cors' });
+    if (res.ok) await cache.put(url, res);
+  }));
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.addAll(PRECACHE.files.map(scoped));
+    // Another host: if it's unreachable the app still installs, the icons just stay online-only
+    await precacheSymbols();
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith(SHELL_CACHE_PREFIX) && name !== SHELL_CACHE)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+const INDEX_URL = scoped(LRU_INDEX_PATH);
+// Per cache name: its index ([{ key, size }], least recently used first) as
+// last saved, and the chain that keeps updates to it in order
+const indexes = new Map();
+const pendingUpdates = new Map();
+
+const storedSize = (res) => Number(res?.headers.get(SIZE_HEADER)) || 0;
+
+// Helper: read a cache's index. A cache without one (first use, or filled by
+// an older worker) is indexed once from its entries, in stored order.
+async function loadIndex(cache) {
+  const stored = await cache.match(INDEX_URL);
+  if (stored) return stored.json();
+  const keys = await cache.keys();
+  return Promise.all(keys.map(async key => ({ key: key.url, size: storedSize(await cache.match(key)) })));
+}
+
+// Helper: mark `url` as just used, drop least recently used entries until the
+// cache fits and save the index. Updates to one cache run one at a time.
+function recordUse(cacheName, url, size, maxBytes) {
+  const update = async () => {
+    const cache = await caches.open(cacheName);
+    if (!indexes.has(cacheName)) indexes.set(cacheName, await loadIndex(cache));
+    let index = touchEntry(indexes.get(cacheName), url, size);
+    const evicted = lruEvictions(index, maxBytes);
+    index = index.slice(evicted.length);
+    indexes.set(cacheName, index);
+    await Promise.all(evicted.map(key => cache.delete(key)));
+    await cache.put(INDEX_URL, new Response(JSON.stringify(index), { headers: { 'Content-Type': 'application/json' } }));
+  };
+  const result = (pendingUpdates.get(cacheName) || Promise.resolve()).then(update);
+  // One failed update shouldn't block the ones queued behind it
+  pendingUpdates.set(cacheName, result.catch(() => {}));
+  return result;
+}
+
+// Helper: store a copy of `res` with its size, then record it in the index
+async function storeSized(cacheName, url, res, maxBytes) {
+  const body = await res.blob();
+  const headers = new Headers(res.headers);
+  headers.set(SIZE_HEADER, String(body.size));
+  const cache = await caches.open(cacheName);
+  await cache.put(url, new Response(body, { status: res.status, statusText: res.statusText, headers }));
+  await recordUse(cacheName, url, body.size, maxBytes);
+}
+
+// Card images: cache first. Fetched with CORS so the size is readable; a
+// host that refuses gets a plain uncached request.
+async function cachedImage(event) {
+  const { url } = event.request;
+  const cache = await caches.open(IMAGE_CACHE);
+  const hit = await cache.match(url);
+  if (hit) {
+    event.waitUntil(recordUse(IMAGE_CACHE, url, storedSize(hit), IMAGE_CACHE_MAX_BYTES));
+    return hit;
+  }
+  let res;
+  try {
+    res = await fetch(url, { mode: 'cors', credentials: 'omit' });
+  } catch {
+    return fetch(event.request);
+  }
+  if (res.ok) event.waitUntil(storeSized(IMAGE_CACHE, url, res.clone(), IMAGE_CACHE_MAX_BYTES));
+  return res;
+}
+
+// EDHREC pages: network first so ranks stay fresh, the last copy when offline
+async function edhrecPage(event) {
+  const { url } = event.request;
+  try {
+    const res = await fetch(event.request);
+    if (res.ok) event.waitUntil(storeSized(PAGE_CACHE, url, res.clone(), PAGE_CACHE_MAX_BYTES));
+    return res;
+  } catch (e) {
+    const hit = await caches.match(url, { cacheName: PAGE_CACHE });
+    if (!hit) throw e;
+    event.waitUntil(recordUse(PAGE_CACHE, url, storedSize(hit), PAGE_CACHE_MAX_BYTES));
+    return hit;
+  }
+}
+
+async function cacheFirst(cacheName, request) {
+  const hit = await caches.match(request, { cacheName });
+  return hit || fetch(request);
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (request.mode === 'navigate' && url.origin === self.location.origin) {
+    event.respondWith(caches.match(scoped('index.html'), { cacheName: SHELL_CACHE }).then(hit => hit || fetch(request)));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(cacheFirst(SHELL_CACHE, request));
+  } else if (url.hostname === SYMBOL_HOST) {
+    event.respondWith(cacheFirst(SYMBOL_CACHE, request));
+  } else if (IMAGE_HOSTS.includes(url.hostname)) {
+    event.respondWith(cachedImage(event));
+  } else if (PAGE_HOSTS.includes(url.hostname)) {
+    event.respondWith(edhrecPage(event));
+  }
+});
@@ -0,0 +1,34 @@
+// Wordle-style share text for Daily results.
+import { getDailySeed, getPuzzleNumber, seedToDateParam } from './dailyDate.js';
+
+const SHARE_URL = 'https://edhrankle.com/daily';
+
+export function buildShareText({ seed, guesses, solved, score = null, hints = 0 }) {
+  const count = solved ? guesses.length : 'X';
+  const rows = guesses.map(guess => guess.correctness.map(correct => (correct ? '🟩' : '🟥')).join(''));
+  const scoreLine = score !== null ? [`Score ${score}/100${hints ? ` (${hints} ${hints === 1 ? 'hint' : 'hints'})` : ''}`] : [];
+  // Archive puzzles link to their own date so friends can play the same one
+  const url = seed === getDailySeed() ? SHARE_URL : `${SHARE_URL}/${seedToDateParam(seed)}`;
+  return [`EDH Rankle Daily #${getPuzzleNumber(seed)} ${count} guesses`, ...scoreLine, '', ...rows, '', url].join('\n');
+}
+
+// Use the native share sheet where there is one, otherwise copy to the clipboard.
+// Resolves to 'shared', 'copied', 'cancelled' (the player closed the share
+// sheet) or 'failed'.
+export async function shareResult(text) {
+  if (navigator.share && window.matchMedia?.('(pointer: coarse)').matches) {
+    try {
+      await navigator.share({ text });
+      return 'shared';
+    } catch (e) {
+      // User closed the share sheet: don't fall through to the clipboard
+      if (e?.name === 'AbortError') return 'cancelled';
+    }
+  }
+  try {
+    await navigator.clipboard.writeText(text);
+    return 'copied';
+  } catch {
+    return 'failed';
+  }
+}
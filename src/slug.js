@@ -0,0 +1,18 @@
+// Helper: turn a card name into the slug EDHREC uses in its URLs.
+// Kept free of React so the Node build scripts can share it.
+export function slugify(name) {
+  // Normalize and remove accents
+  return String(name)
+    .normalize('NFD')
+    .replace(/\p{Diacritic}/gu, '')
+    .toLowerCase()
+    .replace(/["'!?():,.]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+// Helper: EDHREC slug for a two-commander page (partners, backgrounds, ...),
+// which joins both card slugs in alphabetical order
+export function pairSlug(nameA, nameB) {
+  return [slugify(nameA), slugify(nameB)].sort().join('-');
+}
@@ -0,0 +1,31 @@
+// Keyboard shortcuts for the game screens.
+//
+// `keys` maps KeyboardEvent.key values ('ArrowLeft', '1', 'Enter', ...) to
+// handlers. Keys typed into form fields are ignored, and so are Enter/Space on
+// a focused button or link, which the browser already activates.
+import { useEffect, useRef } from 'react';
+
+const FORM_FIELDS = 'input, select, textarea';
+const ACTIVATABLE = 'button, a, [role="button"]';
+
+export function useGameKeys(keys) {
+  const keysRef = useRef(keys);
+  useEffect(() => {
+    keysRef.current = keys;
+  });
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey) return;
+      const target = e.target instanceof Element ? e.target : null;
+      if (target?.closest(FORM_FIELDS)) return;
+      if ((e.key === 'Enter' || e.key === ' ') && target?.closest(ACTIVATABLE)) return;
+      const handler = keysRef.current[e.key];
+      if (!handler) return;
+      e.preventDefault();
+      handler(e);
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+}
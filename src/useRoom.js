@@ -0,0 +1,62 @@
+// Client side of a head-to-head room: one WebSocket to the room server and the
+// latest state it reported. The server lives in scripts/room-server.js; point
+// VITE_ROOM_SERVER_URL at it if it isn't on ws://localhost:5175.
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { DEFAULT_ROOM_SERVER } from './rooms.js';
+
+export function roomServerUrl() {
+  return import.meta.env.VITE_ROOM_SERVER_URL || DEFAULT_ROOM_SERVER;
+}
+
+export function useRoom(code, name) {
+  const [status, setStatus] = useState('connecting'); // 'connecting' | 'open' | 'closed'
+  const [you, setYou] = useState(null);
+  const [room, setRoom] = useState(null);
+  const [pair, setPair] = useState(null); // { round, left, right, roundMs, receivedAt }
+  const [reveal, setReveal] = useState(null);
+  const [guessed, setGuessed] = useState([]); // ids of members who have guessed this round
+  const [error, setError] = useState(null);
+  const socketRef = useRef(null);
+
+  useEffect(() => {
+    const socket = new WebSocket(roomServerUrl());
+    socketRef.current = socket;
+    setStatus('connecting');
+    socket.onopen = () => {
+      setStatus('open');
+      socket.send(JSON.stringify({ type: 'join', code, name }));
+    };
+    socket.onclose = () => setStatus('closed');
+    socket.onmessage = (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch {
+        return;
+      }
+      if (message.type === 'welcome') setYou(message.you);
+      else if (message.type === 'room') setRoom(message.room);
+      else if (message.type === 'pair') {
+        setPair({ ...message, receivedAt: Date.now() });
+        setReveal(null);
+        setGuessed([]);
+      } else if (message.type === 'guessed') setGuessed(ids => [...ids, message.id]);
+      else if (message.type === 'reveal') setReveal(message);
+      else if (message.type === 'error') setError(message.message);
+    };
+    return () => {
+      // Detach first so a socket closing late can't overwrite the next connection's status
+      socket.onopen = null;
+      socket.onclose = null;
+      socket.onmessage = null;
+      socket.close();
+    };
+  }, [code, name]);
+
+  const send = useCallback((message) => {
+    const socket = socketRef.current;
+    if (socket?.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+  }, []);
+
+  return { status, you, room, pair, reveal, guessed, error, send };
+}
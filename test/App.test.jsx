@@ -0,0 +1,108 @@
+import React from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { fireEvent, render, screen } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import App from '../src/App.jsx';
+import { toCommanderMeta } from '../src/pairQueue.js';
+import { commanders } from '../src/commanderData.js';
+import atraxaPage from './fixtures/edhrec-atraxa.json';
+
+// The real queue preloads card images, which never load in jsdom, so the
+// game is dealt a scripted list of pairs instead
+const dealt = vi.hoisted(() => ({ pairs: [] }));
+vi.mock('../src/pairQueue.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  createPairQueue: () => ({
+    setPool() {},
+    takeReady: () => dealt.pairs.shift() ?? null,
+    take: () => Promise.resolve(dealt.pairs.shift() ?? { error: 'Out of pairs.' }),
+    dispose() {},
+  }),
+}));
+
+const meta = (name, rank) => ({ ...toCommanderMeta(commanders.find(card => card.name === name)), rank });
+const pair = ([leftName, leftRank], [rightName, rightRank]) => ({ left: meta(leftName, leftRank), right: meta(rightName, rightRank) });
+
+const renderGame = () => render(<MemoryRouter><App /></MemoryRouter>);
+const pick = (name) => fireEvent.click(screen.getByRole('button', { name: `Pick ${name}` }));
+const score = () => screen.getByText(/^Score:/);
+
+describe('classic game', () => {
+  beforeEach(() => {
+    vi.stubGlobal('fetch', vi.fn(async () => ({ ok: true, status: 200, json: async () => atraxaPage })));
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    dealt.pairs = [];
+  });
+
+  it('counts a correct guess and reveals both ranks', async () => {
+    dealt.pairs = [pair(['Edgar Markov', 1], ['Krenko, Mob Boss', 40]), pair(['Meren of Clan Nel Toth', 40], ["Atraxa, Praetors' Voice", 5])];
+    renderGame();
+    expect(score()).toHaveTextContent('Score: 0');
+
+    pick('Edgar Markov');
+    expect(screen.getByText('Correct')).toBeInTheDocument();
+    expect(screen.getByText('Rank #1')).toBeInTheDocument();
+    expect(screen.getByText('Rank #40')).toBeInTheDocument();
+    expect(score()).toHaveTextContent('Score: 1');
+    // The reveal panel reads the commander's EDHREC page through the mocked fetch
+    expect(await screen.findAllByText(/decks on EDHREC/)).toHaveLength(2);
+    expect(fetch).toHaveBeenCalledWith('https://json.edhrec.com/pages/commanders/edgar-markov.json');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Next' }));
+    expect(screen.getByRole('button', { name: "Pick Atraxa, Praetors' Voice" })).toBeInTheDocument();
+    expect(screen.queryByText('Correct')).not.toBeInTheDocument();
+  });
+
+  it('leaves the streak alone on a tie', () => {
+    dealt.pairs = [
+      pair(['Edgar Markov', 1], ['Krenko, Mob Boss', 40]),
+      pair(['Krenko, Mob Boss', 40], ['Meren of Clan Nel Toth', 40]),
+      pair(["Atraxa, Praetors' Voice", 5], ['Lim-Dûl the Necromancer', 2500]),
+    ];
+    renderGame();
+    pick('Edgar Markov');
+    fireEvent.click(screen.getByRole('button', { name: 'Next' }));
+
+    pick('Meren of Clan Nel Toth');
+    expect(screen.getByText('Tie')).toBeInTheDocument();
+    expect(score()).toHaveTextContent('Score: 1');
+    expect(screen.queryByText(/Final Score/)).not.toBeInTheDocument();
+
+    fireEvent.keyDown(window, { key: 'Enter' });
+    pick("Atraxa, Praetors' Voice");
+    expect(score()).toHaveTextContent('Score: 2');
+  });
+
+  it('ends the game on a wrong guess and starts over from zero', () => {
+    dealt.pairs = [
+      pair(['Edgar Markov', 1], ['Krenko, Mob Boss', 40]),
+      pair(["Atraxa, Praetors' Voice", 5], ['Edgar Markov', 1]),
+      pair(['Krenko, Mob Boss', 40], ['Lim-Dûl the Necromancer', 2500]),
+    ];
+    renderGame();
+    pick('Edgar Markov');
+    fireEvent.click(screen.getByRole('button', { name: 'Next' }));
+
+    pick("Atraxa, Praetors' Voice");
+    expect(screen.getByText('Wrong')).toBeInTheDocument();
+    expect(screen.getByText(/Final Score/)).toHaveTextContent('Final Score: 1');
+    expect(score()).toHaveTextContent('Score: 0');
+    expect(screen.getByText(/Highest:/)).toHaveTextContent('Highest: 1');
+
+    const newGameButtons = screen.getAllByRole('button', { name: 'New Game' });
+    fireEvent.click(newGameButtons[newGameButtons.length - 1]);
+    expect(screen.queryByText(/Final Score/)).not.toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Pick Krenko, Mob Boss' })).toBeInTheDocument();
+    expect(score()).toHaveTextContent('Score: 0');
+    expect(screen.getByText(/Lifetime:/)).toHaveTextContent('Lifetime: 2 guesses | 50% accuracy | 1 games played');
+  });
+
+  it('counts the custom pool after filters', () => {
+    dealt.pairs = [pair(['Edgar Markov', 1], ['Krenko, Mob Boss', 40])];
+    render(<MemoryRouter initialEntries={['/?pool=edgar-markov.krenko-mob-boss.meren-of-clan-nel-toth&colors=includes:B']}><App /></MemoryRouter>);
+    expect(screen.getByText(/^Custom pool:/)).toHaveTextContent('Custom pool: 2 commanders in play (3 listed)');
+  });
+});
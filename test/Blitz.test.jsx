@@ -0,0 +1,54 @@
+import React from 'react';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { fireEvent, render, screen } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import Blitz from '../src/Blitz.jsx';
+import { toCommanderMeta } from '../src/pairQueue.js';
+import { commanders } from '../src/commanderData.js';
+
+// Deal a scripted list of pairs, errors included
+const dealt = vi.hoisted(() => ({ pairs: [] }));
+vi.mock('../src/pairQueue.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  createPairQueue: () => ({
+    setPool() {},
+    takeReady: () => dealt.pairs.shift() ?? null,
+    take: () => Promise.resolve(dealt.pairs.shift() ?? { error: 'Out of pairs.' }),
+    dispose() {},
+  }),
+}));
+
+const meta = (name, rank) => ({ ...toCommanderMeta(commanders.find(card => card.name === name)), rank });
+const pair = ([leftName, leftRank], [rightName, rightRank]) => ({ left: meta(leftName, leftRank), right: meta(rightName, rightRank) });
+const pick = (name) => fireEvent.click(screen.getByRole('button', { name: `Pick ${name}` }));
+const FAILED = { error: "Couldn't reach EDHREC to look up ranks." };
+
+describe('Blitz', () => {
+  afterEach(() => {
+    dealt.pairs = [];
+  });
+
+  it('pauses on a failed pair and deals another on retry', () => {
+    dealt.pairs = [pair(['Edgar Markov', 1], ['Krenko, Mob Boss', 40]), FAILED, pair(['Meren of Clan Nel Toth', 40], ["Atraxa, Praetors' Voice", 5])];
+    render(<MemoryRouter><Blitz /></MemoryRouter>);
+    fireEvent.click(screen.getByRole('button', { name: 'Start' }));
+    pick('Edgar Markov');
+
+    expect(screen.getByText('The clock is paused.')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Try again' }));
+    expect(screen.queryByText('The clock is paused.')).not.toBeInTheDocument();
+    pick("Atraxa, Praetors' Voice");
+    expect(screen.getByText(/^\+\d+$/)).toBeInTheDocument();
+  });
+
+  it('can end the run on a failed pair', () => {
+    dealt.pairs = [pair(['Edgar Markov', 1], ['Krenko, Mob Boss', 40]), FAILED];
+    render(<MemoryRouter><Blitz /></MemoryRouter>);
+    fireEvent.click(screen.getByRole('button', { name: 'Start' }));
+    pick('Edgar Markov');
+
+    fireEvent.click(screen.getByRole('button', { name: 'End run' }));
+    expect(screen.getByText(/points$/)).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Play again' })).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,39 @@
+import React from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import Daily from '../src/Daily.jsx';
+import { loadProfile } from '../src/profile.js';
+
+const HAND = [['atraxa', 5], ['edgar', 1], ['krenko', 40], ['meren', 60], ['limdul', 2500], ['thrasios', 90]];
+
+describe('Daily', () => {
+  let answerManifest;
+
+  beforeEach(() => {
+    // The manifest fetch waits until the test answers it
+    vi.stubGlobal('fetch', vi.fn(() => new Promise(resolve => {
+      answerManifest = (body) => resolve({ ok: true, status: 200, json: async () => body });
+    })));
+    vi.stubGlobal('matchMedia', () => ({ matches: false, addEventListener() {}, removeEventListener() {} }));
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('ignores Guess Order until the puzzle has loaded', async () => {
+    render(<MemoryRouter><Daily /></MemoryRouter>);
+    const guess = screen.getByRole('button', { name: 'Guess Order' });
+    expect(guess).toBeDisabled();
+    fireEvent.click(guess);
+    expect(screen.queryByText(/^Score:/)).not.toBeInTheDocument();
+    expect(loadProfile().daily).toEqual({});
+
+    await act(async () => {
+      answerManifest({ version: 1, commanders: HAND.map(([id, rank]) => ({ id, rank })) });
+    });
+    expect(guess).toBeEnabled();
+    expect(screen.getByRole('button', { name: /^Hint/ })).toBeEnabled();
+  });
+});
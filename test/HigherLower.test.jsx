@@ -0,0 +1,46 @@
+import React from 'react';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import HigherLower from '../src/HigherLower.jsx';
+import { toCommanderMeta } from '../src/pairQueue.js';
+import { commanders } from '../src/commanderData.js';
+
+// Every draw waits until the test settles it, so draws can finish out of order
+const draws = vi.hoisted(() => ({ pending: [] }));
+vi.mock('../src/pairQueue.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  drawRankedCommander: () => new Promise(resolve => draws.pending.push(resolve)),
+}));
+
+const meta = (name, rank) => ({ ...toCommanderMeta(commanders.find(card => card.name === name)), rank });
+
+// Helper: settle the `index`th draw made so far
+async function settle(index, value) {
+  await act(async () => {
+    draws.pending[index](value);
+  });
+}
+
+describe('Higher or Lower', () => {
+  afterEach(() => {
+    draws.pending = [];
+  });
+
+  it('ignores a draw that finishes after New Game started another', async () => {
+    render(<MemoryRouter><HigherLower /></MemoryRouter>);
+    expect(draws.pending).toHaveLength(1);
+    fireEvent.click(screen.getByRole('button', { name: 'New Game' }));
+    expect(draws.pending).toHaveLength(2);
+
+    await settle(1, meta('Edgar Markov', 1));
+    await settle(0, meta('Krenko, Mob Boss', 40));
+    expect(draws.pending).toHaveLength(3);
+    await settle(2, meta('Meren of Clan Nel Toth', 40));
+
+    expect(screen.getByText('Edgar Markov')).toBeInTheDocument();
+    expect(screen.getByText('Meren of Clan Nel Toth')).toBeInTheDocument();
+    expect(screen.queryByText('Krenko, Mob Boss')).not.toBeInTheDocument();
+    expect(screen.getByRole('button', { name: '▲ Higher' })).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,42 @@
+import React from 'react';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import Rising from '../src/Rising.jsx';
+import { toCommanderMeta } from '../src/pairQueue.js';
+import { commanders } from '../src/commanderData.js';
+
+// Every draw waits until the test settles it, so draws can finish out of order
+const draws = vi.hoisted(() => ({ pending: [] }));
+vi.mock('../src/rising.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  drawRisingPair: () => new Promise(resolve => draws.pending.push(resolve)),
+}));
+
+const meta = (name, gain) => ({ ...toCommanderMeta(commanders.find(card => card.name === name)), gain, history: [] });
+
+// Helper: settle the `index`th draw made so far
+async function settle(index, value) {
+  await act(async () => {
+    draws.pending[index](value);
+  });
+}
+
+describe("Who's rising", () => {
+  afterEach(() => {
+    draws.pending = [];
+  });
+
+  it('ignores a draw that finishes after New Game started another', async () => {
+    render(<MemoryRouter><Rising /></MemoryRouter>);
+    expect(draws.pending).toHaveLength(1);
+    fireEvent.click(screen.getByRole('button', { name: 'New Game' }));
+    expect(draws.pending).toHaveLength(2);
+
+    await settle(1, { left: meta('Edgar Markov', 5), right: meta('Meren of Clan Nel Toth', 2) });
+    await settle(0, { left: meta('Krenko, Mob Boss', 9), right: meta('Edgar Markov', 1) });
+
+    expect(screen.getByText('Meren of Clan Nel Toth')).toBeInTheDocument();
+    expect(screen.queryByText('Krenko, Mob Boss')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,45 @@
+import React from 'react';
+import { describe, expect, it, vi } from 'vitest';
+import { fireEvent, render, screen } from '@testing-library/react';
+import { MemoryRouter, Route, Routes } from 'react-router-dom';
+import Room from '../src/Room.jsx';
+
+// The room's server state, as useRoom would hand it over
+const server = vi.hoisted(() => ({ state: null, send: null }));
+vi.mock('../src/useRoom.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  useRoom: () => ({ status: 'open', you: '1', guessed: [], error: null, reveal: null, send: server.send, ...server.state }),
+}));
+
+const members = [{ id: '1', name: 'Ana', score: 0, connected: true }, { id: '2', name: 'Bo', score: 0, connected: true }];
+const room = (state) => ({ code: 'ABCDE', host: '1', state, rounds: 5, members });
+const page = () => (
+  <MemoryRouter initialEntries={['/room/ABCDE']}>
+    <Routes><Route path="/room/:code" element={<Room />} /></Routes>
+  </MemoryRouter>
+);
+const pair = { round: 1, left: { id: 'edgar', name: 'Edgar Markov' }, right: { id: 'krenko', name: 'Krenko, Mob Boss' }, roundMs: 15000, receivedAt: Date.now() };
+
+describe('head-to-head room', () => {
+  it("forgets last game's guess once the room is back in the lobby", () => {
+    server.send = vi.fn();
+    server.state = { room: room('playing'), pair };
+    const view = render(page());
+    fireEvent.change(screen.getByLabelText('Your name'), { target: { value: 'Ana' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Join' }));
+    const rerender = (state) => {
+      server.state = state;
+      view.rerender(page());
+    };
+
+    fireEvent.click(screen.getByRole('button', { name: 'Pick Edgar Markov' }));
+    expect(screen.getByText(/You picked Edgar Markov/)).toBeInTheDocument();
+
+    // The host restarts and the next game deals its own round 1
+    rerender({ room: room('lobby'), pair });
+    rerender({ room: room('playing'), pair: { ...pair, receivedAt: Date.now() } });
+    expect(screen.queryByText(/You picked/)).not.toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Pick Krenko, Mob Boss' }));
+    expect(server.send).toHaveBeenLastCalledWith({ type: 'guess', round: 1, side: 'right' });
+  });
+});
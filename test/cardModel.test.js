@@ -0,0 +1,29 @@
+import { describe, expect, it } from 'vitest';
+import { cardImage, cardSlug, frontName, getFaces, hasBackFace } from '../src/cardModel.js';
+import delver from './fixtures/scryfall-delver.json';
+import data from './fixtures/commanders.json';
+
+const byName = (name) => data.commanders.find(card => card.name === name);
+
+describe('cardModel', () => {
+  it('reads both faces of a transform card from Scryfall', () => {
+    const faces = getFaces(delver);
+    expect(faces.map(face => face.name)).toEqual(['Delver of Secrets', 'Insectile Aberration']);
+    expect(faces[1]).toMatchObject({ power: '3', toughness: '2', oracle_text: 'Flying' });
+    expect(cardImage(delver)).toBe('https://cards.scryfall.io/large/front/delver.jpg');
+    expect(hasBackFace(faces)).toBe(true);
+  });
+
+  it('names multi-face commanders after their front face', () => {
+    const esika = byName('Esika, God of the Tree // The Prismatic Bridge');
+    expect(frontName(esika)).toBe('Esika, God of the Tree');
+    expect(cardSlug(esika)).toBe('esika-god-of-the-tree');
+  });
+
+  it('treats a single-faced card as one face with the card image', () => {
+    const faces = getFaces(byName('Krenko, Mob Boss'));
+    expect(faces).toHaveLength(1);
+    expect(faces[0].art).toBe('https://cards.scryfall.io/art_crop/front/krenko.jpg');
+    expect(hasBackFace(faces)).toBe(false);
+  });
+});
@@ -0,0 +1,26 @@
+import { describe, expect, it, vi } from 'vitest';
+import { loadCommanderInsight } from '../src/commanderInsight.js';
+import { createRankProvider, edhrecBackend } from '../src/rankProvider.js';
+import atraxa from './fixtures/edhrec-atraxa.json';
+
+const meta = { slug: 'atraxa-praetors-voice', scryfall: { commander_rank: 9 } };
+
+describe('loadCommanderInsight', () => {
+  it('reuses the page the rank lookup fetched', async () => {
+    const fetchImpl = vi.fn(async () => ({ ok: true, status: 200, json: async () => atraxa }));
+    const provider = createRankProvider({ backends: [edhrecBackend({ fetchImpl })], cache: null });
+    await provider.getRank('atraxa-praetors-voice');
+
+    const insight = await loadCommanderInsight(meta, { provider, fetchImpl });
+    expect(insight).toMatchObject({ rank: 5, deckCount: 41234, change: { from: 9, to: 5, delta: 4 } });
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+  });
+
+  it('fetches the page itself when the rank came from elsewhere', async () => {
+    const fetchImpl = vi.fn(async () => ({ ok: true, status: 200, json: async () => atraxa }));
+    const provider = { getPage: () => null };
+    const insight = await loadCommanderInsight(meta, { baseUrl: 'https://example.test/pages', provider, fetchImpl });
+    expect(insight).toMatchObject({ rank: 5 });
+    expect(fetchImpl).toHaveBeenCalledWith('https://example.test/pages/atraxa-praetors-voice.json');
+  });
+});
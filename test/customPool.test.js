@@ -0,0 +1,71 @@
+import { describe, expect, it } from 'vitest';
+import {
+  decodePool, deleteSavedPool, encodePool, loadSavedPools, parsePoolLine, parsePoolText,
+  poolId, resolvePool, savePool,
+} from '../src/customPool.js';
+
+describe('parsePoolLine', () => {
+  it('strips counts, set codes, foil marks and Archidekt tags', () => {
+    expect(parsePoolLine("1x Atraxa, Praetors' Voice (C16) 28 *F*")).toBe("Atraxa, Praetors' Voice");
+    expect(parsePoolLine('1 Krenko, Mob Boss [Commander{top}] ^Have^')).toBe('Krenko, Mob Boss');
+    expect(parsePoolLine('Edgar Markov')).toBe('Edgar Markov');
+  });
+
+  it('skips blank lines, comments and headings', () => {
+    expect(parsePoolLine('   ')).toBeNull();
+    expect(parsePoolLine('// Tribal')).toBeNull();
+    expect(parsePoolLine('Commander:')).toBeNull();
+  });
+
+  it('drops repeated names', () => {
+    expect(parsePoolText('Edgar Markov\nedgar markov\n\nKrenko, Mob Boss')).toEqual(['Edgar Markov', 'Krenko, Mob Boss']);
+  });
+});
+
+describe('resolvePool', () => {
+  it('matches exact names, front faces, prefixes and typos', () => {
+    const { cards, corrected, unknown } = resolvePool('Edgar Markov\nEsika, God of the Tree\nAtraxa\nKrenko Mob Bos\nLim-Dul the Necromancer');
+    expect(cards.map(card => card.id)).toEqual(['edgar', 'esika', 'atraxa', 'krenko', 'limdul']);
+    expect(corrected).toEqual([
+      { input: 'Atraxa', name: "Atraxa, Praetors' Voice" },
+      { input: 'Krenko Mob Bos', name: 'Krenko, Mob Boss' },
+    ]);
+    expect(unknown).toEqual([]);
+  });
+
+  it('lists names it could not match', () => {
+    const { cards, unknown } = resolvePool('Mereen of Clan Nel Tath Tath\nSomebody Else Entirely');
+    expect(cards).toEqual([]);
+    expect(unknown.map(entry => entry.input)).toEqual(['Mereen of Clan Nel Tath Tath', 'Somebody Else Entirely']);
+  });
+});
+
+describe('pool links', () => {
+  it('round-trips a pool through its URL value', () => {
+    const { cards } = resolvePool('Edgar Markov\nEsika, God of the Tree');
+    const value = encodePool(cards);
+    expect(value).toBe('edgar-markov.esika-god-of-the-tree');
+    expect(decodePool(`${value}.no-longer-printed`)).toEqual({ cards, missing: ['no-longer-printed'] });
+  });
+
+  it('gives the same id whatever the order', () => {
+    expect(poolId('edgar-markov.krenko-mob-boss')).toBe(poolId('krenko-mob-boss.edgar-markov'));
+    expect(poolId('edgar-markov.krenko-mob-boss')).not.toBe(poolId('edgar-markov'));
+  });
+});
+
+describe('saved pools', () => {
+  it('saves newest first, overwrites by name and deletes', () => {
+    const { cards } = resolvePool('Edgar Markov\nKrenko, Mob Boss\nAtraxa');
+    savePool('Tokens', cards.slice(0, 2));
+    savePool('Big', cards);
+    savePool('Tokens', cards.slice(1));
+    expect(loadSavedPools().map(saved => [saved.name, saved.size])).toEqual([['Tokens', 2], ['Big', 3]]);
+    expect(deleteSavedPool('Big').map(saved => saved.name)).toEqual(['Tokens']);
+  });
+
+  it('ignores a corrupt store', () => {
+    localStorage.setItem('edh-rankle:pools', '{not json');
+    expect(loadSavedPools()).toEqual([]);
+  });
+});
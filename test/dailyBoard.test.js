@@ -0,0 +1,63 @@
+import { describe, expect, it } from 'vitest';
+import { applyGuess, getRanks, isRepeatGuess, moveUnlocked } from '../src/dailyBoard.js';
+
+const a = { id: 'a', rank: 1 };
+const b = { id: 'b', rank: 2 };
+const c = { id: 'c', rank: 3 };
+const d = { id: 'd', rank: 4 };
+const ids = (order) => order.map(card => card.id).join('');
+
+describe('applyGuess', () => {
+  it('refuses a board that is empty or short of a full hand', () => {
+    expect(applyGuess([], [])).toBeNull();
+    expect(applyGuess([a, b, c, d], [])).toBeNull();
+    expect(applyGuess([a, b, c], [], 4)).toBeNull();
+  });
+
+  it('locks the slots the guess got right', () => {
+    const { history, locked, solved } = applyGuess([a, c, b, d], [], 4);
+    expect(locked).toEqual([true, false, false, true]);
+    expect(solved).toBe(false);
+    expect(history).toEqual([{ correctness: locked, directions: [null, 'lower', 'higher', null], score: 83, ids: 'a,c,b,d' }]);
+  });
+
+  it('is solved when every card is in place', () => {
+    const first = applyGuess([a, c, b, d], [], 4);
+    const second = applyGuess([a, b, c, d], first.history, 4);
+    expect(second.solved).toBe(true);
+    expect(second.history).toHaveLength(2);
+  });
+
+  it('sorts cards without a rank last', () => {
+    expect(getRanks([a, { id: 'x' }])).toEqual([1, 9999]);
+  });
+});
+
+describe('moveUnlocked', () => {
+  const order = [a, c, b, d];
+  const locked = [true, false, false, true];
+
+  it('moves unlocked cards around the locked ones', () => {
+    expect(ids(moveUnlocked(order, locked, 'b', 'c'))).toBe('abcd');
+    expect(ids(moveUnlocked([c, a, d, b], [false, false, true, false], 'b', 'c'))).toBe('bcda');
+  });
+
+  it('never moves a locked card', () => {
+    expect(moveUnlocked(order, locked, 'a', 'c')).toBeNull();
+    expect(moveUnlocked(order, locked, 'c', 'd')).toBeNull();
+  });
+
+  it('ignores drops onto the same card or nowhere', () => {
+    expect(moveUnlocked(order, locked, 'c', 'c')).toBeNull();
+    expect(moveUnlocked(order, locked, 'c', null)).toBeNull();
+  });
+});
+
+describe('isRepeatGuess', () => {
+  it('is true only for the board that was just guessed', () => {
+    const { history } = applyGuess([a, c, b, d], [], 4);
+    expect(isRepeatGuess([a, c, b, d], history)).toBe(true);
+    expect(isRepeatGuess([a, b, c, d], history)).toBe(false);
+    expect(isRepeatGuess([a, c, b, d], [])).toBe(false);
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest';
+import { HINT_PENALTY, finalScore, gradeOrder, pickHint, positionalScore } from '../src/dailyScore.js';
+
+describe('gradeOrder', () => {
+  it('marks the right slots and which way the others must move', () => {
+    expect(gradeOrder([3, 1, 2])).toEqual({
+      correctness: [false, false, false],
+      directions: ['lower', 'higher', 'higher'],
+      score: 33,
+    });
+  });
+
+  it('accepts tied ranks in either order', () => {
+    expect(gradeOrder([1, 4, 4, 9]).correctness).toEqual([true, true, true, true]);
+    expect(positionalScore([4, 4])).toBe(100);
+  });
+});
+
+describe('finalScore', () => {
+  it('averages the guesses and takes off the hint penalty', () => {
+    expect(finalScore([{ score: 80 }, { score: 100 }])).toBe(90);
+    expect(finalScore([{ score: 80 }, { score: 100 }], 1)).toBe(90 - HINT_PENALTY);
+    expect(finalScore([{ score: 5 }], 2)).toBe(0);
+    expect(finalScore([])).toBe(0);
+  });
+
+  it('scores guesses saved before positional scoring by correct slots', () => {
+    expect(finalScore([{ correctness: [true, false, true, false] }])).toBe(50);
+  });
+});
+
+describe('pickHint', () => {
+  const cards = [{ id: 'c', rank: 30 }, { id: 'b', rank: 20 }, { id: 'a', rank: 10 }];
+
+  it('reveals the unlocked card furthest from its slot', () => {
+    expect(pickHint(cards, [false, true, false], []).id).toBe('c');
+    expect(pickHint(cards, [false, true, false], ['c']).id).toBe('a');
+  });
+
+  it('returns null when there is nothing left to reveal', () => {
+    expect(pickHint(cards, [true, true, true], [])).toBeNull();
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest';
+import {
+  parseCommanderPage, parseCommanderRank, parseDeckCount, parseRankHistory, parseSynergyCards,
+} from '../src/edhrecAdapter.js';
+import atraxa from './fixtures/edhrec-atraxa.json';
+
+describe('parseCommanderRank', () => {
+  it('reads the rank from the page card', () => {
+    expect(parseCommanderRank(atraxa)).toBe(5);
+    expect(parseCommanderRank({ container: { json_dict: { card: { rank: '17' } } } })).toBe(17);
+  });
+
+  it('falls back to older page shapes', () => {
+    expect(parseCommanderRank({ rank: 3 })).toBe(3);
+    expect(parseCommanderRank({ stats: { rank: '8' } })).toBe(8);
+    expect(parseCommanderRank({ meta: { rank: 9 } })).toBe(9);
+    expect(parseCommanderRank({ items: [{}, { stats: { rank: 11 } }] })).toBe(11);
+  });
+
+  it('returns null when there is no rank', () => {
+    expect(parseCommanderRank(null)).toBeNull();
+    expect(parseCommanderRank({ container: { json_dict: { card: {} } } })).toBeNull();
+  });
+});
+
+describe('commander page details', () => {
+  it('reads the deck count', () => {
+    expect(parseDeckCount(atraxa)).toBe(41234);
+    expect(parseDeckCount({ num_decks_avg: '120' })).toBe(120);
+    expect(parseDeckCount({})).toBeNull();
+  });
+
+  it('lists the high synergy cards, best first', () => {
+    const cards = parseSynergyCards(atraxa, 2);
+    expect(cards).toEqual([
+      { name: 'Evolution Sage', slug: 'evolution-sage', synergy: 0.52, inclusion: 15000 / 41234 },
+      { name: 'Tekuthal, Inquiry Dominus', slug: 'tekuthal-inquiry-dominus', synergy: 0.41, inclusion: 9000 / 41234 },
+    ]);
+  });
+
+  it('accepts every rank history shape, oldest first', () => {
+    const expected = [{ date: '2026-08-01', rank: 9 }, { date: '2026-09-01', rank: 7 }];
+    expect(parseRankHistory({ rank_history: [['2026-09-01', 7], ['2026-08-01', 9]] })).toEqual(expected);
+    expect(parseRankHistory({ rank_over_time: { '2026-08-01T00:00:00Z': 9, '2026-09-01': '7' } })).toEqual(expected);
+    expect(parseRankHistory({ rank_history: [{ day: '2026-08-01', rank: 9 }, { date: 'soon', rank: 1 }, { date: '2026-09-01', rank: 7 }] })).toEqual(expected);
+  });
+
+  it('gathers the whole page', () => {
+    const page = parseCommanderPage(atraxa);
+    expect(page).toMatchObject({ name: "Atraxa, Praetors' Voice", rank: 5, deckCount: 41234 });
+    expect(page.rankHistory).toHaveLength(3);
+    expect(page.synergyCards.map(card => card.name)).toEqual(['Evolution Sage', 'Tekuthal, Inquiry Dominus', 'Flux Channeler']);
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest';
+import {
+  DEFAULT_FILTERS, changedFilters, getFilteredCommanders, matchesFilters,
+  readFiltersFromParams, writeFiltersToParams,
+} from '../src/filters.js';
+import { commanders } from '../src/commanderData.js';
+
+const byName = (name) => commanders.find(card => card.name === name);
+const names = (cards) => cards.map(card => card.name).sort();
+
+describe('matchesFilters', () => {
+  it('hides unreleased cards until their release date', () => {
+    const future = byName('Future Commander');
+    expect(matchesFilters(future, DEFAULT_FILTERS)).toBe(false);
+    expect(matchesFilters(future, { includeUnreleased: true })).toBe(true);
+    expect(matchesFilters(future, DEFAULT_FILTERS, new Date('3000-01-01'))).toBe(true);
+  });
+
+  it('hides cards that are not legal as commanders', () => {
+    const golos = byName('Golos, Tireless Pilgrim');
+    expect(matchesFilters(golos, DEFAULT_FILTERS)).toBe(false);
+    expect(matchesFilters(golos, { includeIllegal: true })).toBe(true);
+  });
+
+  it('compares color identity by mode', () => {
+    const atraxa = byName("Atraxa, Praetors' Voice");
+    expect(matchesFilters(atraxa, { colorMode: 'includes', colors: ['W', 'U'] })).toBe(true);
+    expect(matchesFilters(atraxa, { colorMode: 'subset', colors: ['W', 'U'] })).toBe(false);
+    expect(matchesFilters(atraxa, { colorMode: 'exact', colors: ['G', 'B', 'U', 'W'] })).toBe(true);
+  });
+});
+
+describe('getFilteredCommanders', () => {
+  it('keeps partners and backgrounds out by default', () => {
+    expect(names(getFilteredCommanders())).toEqual([
+      "Atraxa, Praetors' Voice",
+      'Edgar Markov',
+      'Esika, God of the Tree // The Prismatic Bridge',
+      'Krenko, Mob Boss',
+      'Lim-Dûl the Necromancer',
+      'Meren of Clan Nel Toth',
+    ]);
+  });
+
+  it('adds ranked partner pairings, never the halves on their own', () => {
+    const pool = getFilteredCommanders({ ...DEFAULT_FILTERS, includePartner: true });
+    const pair = pool.find(card => card.pair);
+    expect(pair).toMatchObject({
+      name: 'Thrasios, Triton Hero + Tymna the Weaver',
+      edhrec_slug: 'thrasios-triton-hero-tymna-the-weaver',
+      commander_rank: 12,
+      color_identity: ['W', 'U', 'B', 'G'],
+    });
+    expect(pool.filter(card => card.pair)).toHaveLength(1);
+    expect(pool.some(card => card.name === 'Tymna the Weaver')).toBe(false);
+  });
+});
+
+describe('filter URLs', () => {
+  it('round-trips through search params', () => {
+    const filters = {
+      ...DEFAULT_FILTERS,
+      includePartner: true,
+      colorMode: 'subset',
+      colors: ['W', 'B'],
+      cmcMin: 2,
+      cmcMax: 5,
+      releasedAfter: '2015-01-01',
+      sets: ['c16'],
+      rarities: ['mythic'],
+    };
+    const params = writeFiltersToParams(new URLSearchParams(), filters);
+    expect(params.toString()).toBe('partners=1&colors=subset%3AWB&mv=2-5&released=2015-01-01..&sets=c16&rarity=mythic');
+    expect(readFiltersFromParams(params)).toEqual(filters);
+  });
+
+  it('leaves default filters out of the URL and score keys', () => {
+    expect(writeFiltersToParams(new URLSearchParams('seed=abc'), DEFAULT_FILTERS).toString()).toBe('seed=abc');
+    expect(changedFilters({ ...DEFAULT_FILTERS, includeIllegal: true })).toEqual({ includeIllegal: true });
+  });
+});
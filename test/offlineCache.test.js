@@ -0,0 +1,42 @@
+import { describe, expect, it } from 'vitest';
+import { SYMBOL_URLS, lruEvictions, touchEntry } from '../src/offlineCache.js';
+
+describe('lruEvictions', () => {
+  const entries = [
+    { key: 'oldest', size: 40 },
+    { key: 'older', size: 30 },
+    { key: 'newest', size: 50 },
+  ];
+
+  it('drops the least recently used entries until the cache fits', () => {
+    expect(lruEvictions(entries, 120)).toEqual([]);
+    expect(lruEvictions(entries, 100)).toEqual(['oldest']);
+    expect(lruEvictions(entries, 60)).toEqual(['oldest', 'older']);
+  });
+
+  it('drops everything when even the newest entry is too big', () => {
+    expect(lruEvictions(entries, 10)).toEqual(['oldest', 'older', 'newest']);
+  });
+});
+
+describe('touchEntry', () => {
+  const entries = [{ key: 'a', size: 1 }, { key: 'b', size: 2 }];
+
+  it('moves a used entry to the most recently used end', () => {
+    expect(touchEntry(entries, 'a', 3)).toEqual([{ key: 'b', size: 2 }, { key: 'a', size: 3 }]);
+  });
+
+  it('appends an entry it has not seen', () => {
+    expect(touchEntry(entries, 'c', 4).map(entry => entry.key)).toEqual(['a', 'b', 'c']);
+    expect(entries).toHaveLength(2);
+  });
+});
+
+describe('SYMBOL_URLS', () => {
+  it('lists each symbol once, named the way CommanderPanel requests it', () => {
+    expect(new Set(SYMBOL_URLS).size).toBe(SYMBOL_URLS.length);
+    for (const symbol of ['W', 'C', '1', '10', 'X', 'WU', '2G', 'BP', 'GWP']) {
+      expect(SYMBOL_URLS).toContain(`https://svgs.scryfall.io/card-symbols/${symbol}.svg`);
+    }
+  });
+});
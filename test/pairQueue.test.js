@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest';
+import { drawRankedPair, pairWinner, toCommanderMeta } from '../src/pairQueue.js';
+import { RANK_NETWORK_ERROR, RANK_NOT_FOUND, RANK_OK } from '../src/rankProvider.js';
+import { commanders } from '../src/commanderData.js';
+import { createRng } from '../src/random.js';
+
+const byName = (name) => commanders.find(card => card.name === name);
+
+// Fake provider answering from a slug -> rank map
+const providerFor = (ranks, missing = RANK_NOT_FOUND) => ({
+  getRank: async (slug) => (slug in ranks ? { status: RANK_OK, rank: ranks[slug] } : { status: missing }),
+});
+
+describe('pairWinner', () => {
+  it('picks the lower rank and calls equal ranks a tie', () => {
+    expect(pairWinner({ rank: 3 }, { rank: 40 })).toBe('left');
+    expect(pairWinner({ rank: 40 }, { rank: 3 })).toBe('right');
+    expect(pairWinner({ rank: 40 }, { rank: 40 })).toBe('tie');
+  });
+
+  it('counts a missing rank as the worst', () => {
+    expect(pairWinner({}, { rank: 5000 })).toBe('right');
+    expect(pairWinner({}, {})).toBe('tie');
+  });
+});
+
+describe('toCommanderMeta', () => {
+  it('uses the front face for a double-faced commander', () => {
+    const meta = toCommanderMeta(byName('Esika, God of the Tree // The Prismatic Bridge'));
+    expect(meta.slug).toBe('esika-god-of-the-tree');
+    expect(meta.cardImage).toBe('https://cards.scryfall.io/large/front/esika-front.jpg');
+    expect(meta.faces).toHaveLength(2);
+  });
+});
+
+describe('drawRankedPair', () => {
+  const pool = [byName('Krenko, Mob Boss'), byName('Meren of Clan Nel Toth')];
+
+  it('resolves both ranks', async () => {
+    const pair = await drawRankedPair(pool, providerFor({ 'krenko-mob-boss': 40, 'meren-of-clan-nel-toth': 41 }), createRng('pair'));
+    expect([pair.left.rank, pair.right.rank].sort()).toEqual([40, 41]);
+    expect(pair.left.name).not.toBe(pair.right.name);
+  });
+
+  it('deals the same pair for the same seed', async () => {
+    const provider = providerFor({ 'krenko-mob-boss': 40, 'meren-of-clan-nel-toth': 41 });
+    const first = await drawRankedPair(pool, provider, createRng('same'));
+    const second = await drawRankedPair(pool, provider, createRng('same'));
+    expect(second.left.name).toBe(first.left.name);
+  });
+
+  it('reports why it gave up', async () => {
+    await expect(drawRankedPair(pool.slice(0, 1), providerFor({}))).resolves.toEqual({ error: 'Not enough commanders match the filters.' });
+    await expect(drawRankedPair(pool, providerFor({}))).resolves.toEqual({ error: 'Failed to fetch valid commander from list.' });
+    await expect(drawRankedPair(pool, providerFor({}, RANK_NETWORK_ERROR))).resolves.toEqual({ error: "Couldn't reach EDHREC to look up ranks." });
+  });
+});
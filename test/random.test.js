@@ -0,0 +1,31 @@
+import { describe, expect, it } from 'vitest';
+import { createRng, hashString, mulberry32, pickDistinct, shuffle } from '../src/random.js';
+
+// Seeded runs and Daily puzzles are shared between players, so these numbers
+// must never change. If one of these fails, every shared link deals differently.
+describe('random', () => {
+  it('hashes strings to pinned 32-bit values', () => {
+    expect(hashString('daily:20251019')).toBe(2355420466);
+    expect(hashString('')).toBe(1382371643);
+  });
+
+  it('produces the pinned mulberry32 sequence', () => {
+    const next = mulberry32(42);
+    expect([next(), next(), next()]).toEqual([0.6011037519201636, 0.44829055899754167, 0.8524657934904099]);
+  });
+
+  it('seeds from strings through hashString', () => {
+    const next = createRng('abc');
+    expect([next(), next()]).toEqual([0.8140542081091553, 0.48907070560380816]);
+    expect(createRng(7)()).toBe(mulberry32(7)());
+  });
+
+  it('shuffles and picks the same way for the same seed', () => {
+    expect(shuffle([1, 2, 3, 4, 5, 6], createRng('seed'))).toEqual([1, 6, 5, 3, 2, 4]);
+    expect(pickDistinct(['a', 'b', 'c', 'd', 'e'], 3, createRng('seed'))).toEqual(['d', 'c', 'e']);
+  });
+
+  it('returns null when asked for more than there is', () => {
+    expect(pickDistinct(['a'], 2)).toBeNull();
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, expect, it } from 'vitest';
+import { mergeRankHistory, rankGain } from '../src/rankHistory.js';
+
+describe('mergeRankHistory', () => {
+  it('replaces the point for the same date and keeps dates in order', () => {
+    const history = [{ date: '2026-09-01', rank: 10 }, { date: '2026-08-01', rank: 12 }];
+    expect(mergeRankHistory(history, '2026-09-01', 8)).toEqual([
+      { date: '2026-08-01', rank: 12 },
+      { date: '2026-09-01', rank: 8 },
+    ]);
+  });
+
+  it('keeps only the newest points', () => {
+    const history = [{ date: '2026-07-01', rank: 3 }, { date: '2026-08-01', rank: 2 }];
+    expect(mergeRankHistory(history, '2026-09-01', 1, 2).map(point => point.date)).toEqual(['2026-08-01', '2026-09-01']);
+  });
+
+  it('drops a date whose rank is missing', () => {
+    expect(mergeRankHistory([{ date: '2026-09-01', rank: 4 }], '2026-09-01', null)).toEqual([]);
+    expect(mergeRankHistory(undefined, '2026-09-01', 4)).toEqual([{ date: '2026-09-01', rank: 4 }]);
+  });
+});
+
+describe('rankGain', () => {
+  const history = [
+    { date: '2026-08-01', rank: 50 },
+    { date: '2026-09-01', rank: 40 },
+    { date: '2026-09-20', rank: 30 },
+  ];
+
+  it('compares with the newest point at least a period old', () => {
+    expect(rankGain(history)).toBe(20);
+    expect(rankGain(history, 7)).toBe(10);
+  });
+
+  it('falls back to the oldest point and needs two points', () => {
+    expect(rankGain(history, 365)).toBe(20);
+    expect(rankGain(history.slice(0, 1))).toBeNull();
+    expect(rankGain(undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, expect, it, vi } from 'vitest';
+import {
+  RANK_NETWORK_ERROR, RANK_NOT_FOUND, RANK_OK, RankNetworkError,
+  createRankProvider, edhrecBackend, localStorageCache, snapshotBackend,
+} from '../src/rankProvider.js';
+import atraxa from './fixtures/edhrec-atraxa.json';
+
+const reply = (status, body) => ({ status, ok: status >= 200 && status < 300, json: async () => body });
+
+describe('edhrecBackend', () => {
+  it('fetches the commander page and parses its rank', async () => {
+    const fetchImpl = vi.fn(async () => reply(200, atraxa));
+    const lookup = edhrecBackend({ baseUrl: 'https://example.test/pages', fetchImpl });
+    await expect(lookup('atraxa-praetors-voice')).resolves.toMatchObject({ status: RANK_OK, rank: 5, source: 'edhrec' });
+    expect(fetchImpl).toHaveBeenCalledWith('https://example.test/pages/atraxa-praetors-voice.json');
+  });
+
+  it('treats 404 and 403 as not found', async () => {
+    for (const status of [404, 403]) {
+      const lookup = edhrecBackend({ fetchImpl: async () => reply(status) });
+      await expect(lookup('nobody')).resolves.toEqual({ status: RANK_NOT_FOUND });
+    }
+  });
+
+  it('treats a page without a rank as not found', async () => {
+    const lookup = edhrecBackend({ fetchImpl: async () => reply(200, { container: { json_dict: { card: { name: 'Nobody' } } } }) });
+    await expect(lookup('nobody')).resolves.toEqual({ status: RANK_NOT_FOUND });
+  });
+
+  it('throws RankNetworkError for server errors, bad JSON and failed requests', async () => {
+    await expect(edhrecBackend({ fetchImpl: async () => reply(503) })('x')).rejects.toMatchObject({ name: 'RankNetworkError', status: 503 });
+    const badJson = { status: 200, ok: true, json: async () => { throw new SyntaxError('Unexpected token'); } };
+    await expect(edhrecBackend({ fetchImpl: async () => badJson })('x')).rejects.toBeInstanceOf(RankNetworkError);
+    await expect(edhrecBackend({ fetchImpl: async () => { throw new TypeError('Failed to fetch'); } })('x')).rejects.toBeInstanceOf(RankNetworkError);
+  });
+});
+
+describe('snapshotBackend', () => {
+  it('answers from baked ranks, including pairings', async () => {
+    const lookup = snapshotBackend();
+    await expect(lookup('edgar-markov')).resolves.toEqual({ status: RANK_OK, rank: 1, source: 'snapshot' });
+    await expect(lookup('esika-god-of-the-tree')).resolves.toMatchObject({ rank: 90 });
+    await expect(lookup('thrasios-triton-hero-tymna-the-weaver')).resolves.toMatchObject({ rank: 12 });
+    await expect(lookup('future-commander')).resolves.toEqual({ status: RANK_NOT_FOUND });
+  });
+});
+
+describe('localStorageCache', () => {
+  it('removes an entry once it has expired', () => {
+    const cache = localStorageCache({ ttl: 1000 });
+    cache.set('edgar-markov', { status: RANK_OK, rank: 1, source: 'edhrec' });
+    expect(cache.get('edgar-markov')).toMatchObject({ rank: 1 });
+
+    vi.spyOn(Date, 'now').mockReturnValue(Date.now() + 2000);
+    expect(cache.get('edgar-markov')).toBeNull();
+    expect(localStorage.getItem('edh-rankle:rank:edgar-markov')).toBeNull();
+  });
+});
+
+describe('createRankProvider', () => {
+  it('falls through to the next backend when the snapshot has no rank', async () => {
+    const live = vi.fn(async () => ({ status: RANK_OK, rank: 777, source: 'edhrec' }));
+    const provider = createRankProvider({ backends: [snapshotBackend(), live], cache: null });
+    await expect(provider.getRank('Krenko, Mob Boss')).resolves.toMatchObject({ rank: 40, source: 'snapshot' });
+    await expect(provider.getRank('Future Commander')).resolves.toMatchObject({ rank: 777, source: 'edhrec' });
+    expect(live).toHaveBeenCalledTimes(1);
+    expect(live).toHaveBeenCalledWith('future-commander');
+  });
+
+  it('retries network errors with backoff, then reports them', async () => {
+    const failing = vi.fn(async () => { throw new RankNetworkError('offline'); });
+    const provider = createRankProvider({ backends: [failing], cache: null, retries: 2, baseDelay: 0 });
+    const result = await provider.getRank('Edgar Markov');
+    expect(result.status).toBe(RANK_NETWORK_ERROR);
+    expect(result.error.message).toBe('offline');
+    expect(failing).toHaveBeenCalledTimes(3);
+  });
+
+  it('does not retry while the browser is offline', async () => {
+    vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+    const failing = vi.fn(async () => { throw new RankNetworkError('offline'); });
+    const provider = createRankProvider({ backends: [failing], cache: null, retries: 3, baseDelay: 10000 });
+    await expect(provider.getRank('Edgar Markov')).resolves.toMatchObject({ status: RANK_NETWORK_ERROR });
+    expect(failing).toHaveBeenCalledTimes(1);
+  });
+
+  it('recovers when a retry succeeds', async () => {
+    const flaky = vi.fn()
+      .mockRejectedValueOnce(new RankNetworkError('blip'))
+      .mockResolvedValue({ status: RANK_OK, rank: 3, source: 'edhrec' });
+    const provider = createRankProvider({ backends: [flaky], cache: null, baseDelay: 0 });
+    await expect(provider.getRank('Edgar Markov')).resolves.toMatchObject({ rank: 3 });
+  });
+
+  it('shares in-flight lookups and keeps the parsed page out of the cache', async () => {
+    const fetchImpl = vi.fn(async () => reply(200, atraxa));
+    const cache = localStorageCache();
+    const provider = createRankProvider({ backends: [edhrecBackend({ fetchImpl })], cache });
+    const [a, b] = await Promise.all([provider.getRank("Atraxa, Praetors' Voice"), provider.getRank('atraxa-praetors-voice')]);
+    expect(a).toBe(b);
+    expect(a).toEqual({ status: RANK_OK, rank: 5, source: 'edhrec' });
+    expect(provider.getPage('atraxa-praetors-voice')).toMatchObject({ name: "Atraxa, Praetors' Voice", rank: 5 });
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+
+    expect(cache.get('atraxa-praetors-voice')).toEqual({ status: RANK_OK, rank: 5, source: 'edhrec' });
+    const again = createRankProvider({ backends: [edhrecBackend({ fetchImpl })], cache });
+    await expect(again.getRank('Atraxa, Praetors\' Voice')).resolves.toEqual({ status: RANK_OK, rank: 5, source: 'edhrec' });
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not cache network errors', async () => {
+    const cache = { get: vi.fn(() => null), set: vi.fn() };
+    const provider = createRankProvider({ backends: [async () => { throw new RankNetworkError('down'); }], cache, retries: 0 });
+    await provider.getRank('Edgar Markov');
+    expect(cache.set).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,31 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { buildShareText, shareResult } from '../src/share.js';
+
+describe('buildShareText', () => {
+  it('numbers archive puzzles and links to their date', () => {
+    const text = buildShareText({ seed: 20251003, guesses: [{ correctness: [true, false] }, { correctness: [true, true] }], solved: true, score: 80, hints: 1 });
+    expect(text).toBe('EDH Rankle Daily #3 2 guesses\nScore 80/100 (1 hint)\n\n🟩🟥\n🟩🟩\n\nhttps://edhrankle.com/daily/2025-10-03');
+  });
+});
+
+describe('shareResult', () => {
+  const touchScreen = () => vi.stubGlobal('matchMedia', () => ({ matches: true }));
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    delete navigator.share;
+  });
+
+  it('reports a closed share sheet as cancelled, not failed', async () => {
+    touchScreen();
+    navigator.share = vi.fn(async () => { throw new DOMException('Share canceled', 'AbortError'); });
+    await expect(shareResult('text')).resolves.toBe('cancelled');
+  });
+
+  it('falls back to the clipboard', async () => {
+    const writeText = vi.fn(async () => {});
+    vi.stubGlobal('navigator', { clipboard: { writeText } });
+    await expect(shareResult('text')).resolves.toBe('copied');
+    expect(writeText).toHaveBeenCalledWith('text');
+  });
+});
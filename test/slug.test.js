@@ -0,0 +1,26 @@
+import { describe, expect, it } from 'vitest';
+import { pairSlug, slugify } from '../src/slug.js';
+
+describe('slugify', () => {
+  it('matches EDHREC page slugs', () => {
+    expect(slugify("Atraxa, Praetors' Voice")).toBe('atraxa-praetors-voice');
+    expect(slugify('Krenko, Mob Boss')).toBe('krenko-mob-boss');
+  });
+
+  it('strips accents', () => {
+    expect(slugify('Lim-Dûl the Necromancer')).toBe('lim-dul-the-necromancer');
+    expect(slugify('Jötun Grunt')).toBe('jotun-grunt');
+  });
+
+  it('collapses punctuation and spaces', () => {
+    expect(slugify('  "Ach! Hans, Run!"  ')).toBe('ach-hans-run');
+    expect(slugify('Esika, God of the Tree // The Prismatic Bridge')).toBe('esika-god-of-the-tree-the-prismatic-bridge');
+  });
+});
+
+describe('pairSlug', () => {
+  it('joins both names alphabetically', () => {
+    expect(pairSlug('Tymna the Weaver', 'Thrasios, Triton Hero')).toBe('thrasios-triton-hero-tymna-the-weaver');
+    expect(pairSlug('Thrasios, Triton Hero', 'Tymna the Weaver')).toBe('thrasios-triton-hero-tymna-the-weaver');
+  });
+});
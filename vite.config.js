@@ -1,9 +1,11 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 import { resolve } from 'path'
+import { fileURLToPath } from 'node:url';
+import serviceWorker from './scripts/service-worker-plugin.js';
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   server: {
     historyApiFallback: true,
     host: true, // or '0.0.0.0'
@@ -15,5 +17,13 @@ export default defineConfig({
         main: resolve(__dirname, 'index.html'),
       }
     }
-  }
+  },
+  test: {
+    environment: 'jsdom',
+    setupFiles: ['./test/setup.js'],
+    // commanders.json is generated and untracked, so tests run against a small fixture
+    alias: [
+      { find: /^\.\/commanders\.json$/, replacement: fileURLToPath(new URL('./test/fixtures/commanders.json', import.meta.url)) },
+    ],
+  },
 });
\ No newline at end of file